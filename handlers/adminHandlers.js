@@ -0,0 +1,421 @@
+const { Markup } = require('telegraf');
+const roleService = require('../services/roleService');
+const auditService = require('../services/auditService');
+const userService = require('../services/userService');
+const planService = require('../services/planService');
+const banService = require('../services/banService');
+const broadcastService = require('../services/broadcastService');
+const { createProgressReporter } = require('../utils/progressReporter');
+const { getTimeDifference, formatDateTime, parsePeriod } = require('../utils/helpers');
+
+/**
+ * Get the staff member running a command, for the audit log
+ * @param {Object} ctx - Telegram context (role set by the permission middleware)
+ * @returns {Object} Actor with id and role
+ */
+function getActor(ctx) {
+  return { id: ctx.from.id, role: ctx.state.role };
+}
+
+/**
+ * Handle /grant command (owners only)
+ * @param {Object} ctx - Telegram context
+ */
+async function grantHandler(ctx) {
+  try {
+    const roles = Object.keys(roleService.ROLE_LEVELS).join('|');
+    const args = ctx.message.text.split(' ');
+    if (args.length !== 3) {
+      return ctx.reply(`Usage: /grant <user_id> <${roles}>`);
+    }
+    
+    const targetUserId = parseInt(args[1]);
+    const role = args[2].toLowerCase();
+    
+    if (isNaN(targetUserId)) {
+      return ctx.reply('Invalid user ID. Please use numbers only.');
+    }
+    if (!roleService.isValidRole(role)) {
+      return ctx.reply(`Unknown role. Available roles: ${roles.replace(/\|/g, ', ')}`);
+    }
+    
+    await roleService.grantRole(targetUserId, role, ctx.from.id);
+    await auditService.logAction(getActor(ctx), 'role.grant', {
+      targetId: targetUserId,
+      description: `Granted ${role}`
+    });
+    
+    await ctx.reply(`User ${targetUserId} is now ${role}.`);
+  } catch (error) {
+    if (error.message === 'Configured owner') {
+      return ctx.reply('This user is an owner via ADMIN_ID and cannot be changed here.');
+    }
+    console.error('Error in grant handler:', error);
+    await ctx.reply(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Handle /revoke command (owners only)
+ * @param {Object} ctx - Telegram context
+ */
+async function revokeHandler(ctx) {
+  try {
+    const args = ctx.message.text.split(' ');
+    if (args.length !== 2) {
+      return ctx.reply('Usage: /revoke <user_id>');
+    }
+    
+    const targetUserId = parseInt(args[1]);
+    
+    if (isNaN(targetUserId)) {
+      return ctx.reply('Invalid user ID. Please use numbers only.');
+    }
+    
+    const role = await roleService.revokeRole(targetUserId);
+    
+    if (!role) {
+      return ctx.reply(`User ${targetUserId} has no role.`);
+    }
+    
+    await auditService.logAction(getActor(ctx), 'role.revoke', {
+      targetId: targetUserId,
+      description: `Revoked ${role}`
+    });
+    
+    await ctx.reply(`User ${targetUserId} is no longer ${role}.`);
+  } catch (error) {
+    if (error.message === 'Configured owner') {
+      return ctx.reply('This user is an owner via ADMIN_ID and cannot be changed here.');
+    }
+    console.error('Error in revoke handler:', error);
+    await ctx.reply(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Handle /staff command (list owners, admins and support staff)
+ * @param {Object} ctx - Telegram context
+ */
+async function staffHandler(ctx) {
+  try {
+    const staff = await roleService.getStaff();
+    await auditService.logAction(getActor(ctx), 'roles.view');
+    
+    const lines = staff.map(member => (
+      `• ${member.user_id} - ${member.role}${member.configured ? ' (ADMIN_ID)' : ''}`
+    ));
+    
+    await ctx.reply(`👥 Staff\n\n${lines.join('\n') || 'No staff yet.'}`);
+  } catch (error) {
+    console.error('Error in staff handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Describe a user for admin messages
+ * @param {Object} user - User data
+ * @returns {string} User ID with username (e.g., "12345 (@name)")
+ */
+function describeUser(user) {
+  return user.username ? `${user.user_id} (@${user.username})` : String(user.user_id);
+}
+
+/**
+ * Handle /user command (show a user's profile)
+ * @param {Object} ctx - Telegram context
+ */
+async function userHandler(ctx) {
+  try {
+    const args = ctx.message.text.split(' ');
+    if (args.length !== 2) {
+      return ctx.reply('Usage: /user <user_id|@username>');
+    }
+    
+    const user = await userService.findUser(args[1]);
+    if (!user) {
+      return ctx.reply(`User ${args[1]} not found.`);
+    }
+    
+    const [plan, ban, role, conversions, referrer] = await Promise.all([
+      planService.getUserPlan(user),
+      banService.getActiveBan(user.user_id),
+      roleService.getRole(user.user_id),
+      userService.getRecentConversions(user.user_id),
+      user.referrer_id ? userService.findUser(String(user.referrer_id)) : null
+    ]);
+    
+    await auditService.logAction(getActor(ctx), 'user.view', { targetId: user.user_id });
+    
+    const planText = plan.expiresAt ? `${plan.label} until ${formatDateTime(plan.expiresAt)}` : plan.label;
+    const referrerText = user.referrer_id
+      ? (referrer ? describeUser(referrer) : String(user.referrer_id))
+      : 'none';
+    const statusText = ban
+      ? `🚫 banned ${ban.expires_at ? `until ${formatDateTime(ban.expires_at)}` : 'permanently'} (${ban.reason})`
+      : 'active';
+    const conversionLines = conversions.map(conversion => (
+      `• ${conversion.format} • ${conversion.status}${conversion.error ? ` (${conversion.error})` : ''} • ` +
+      getTimeDifference(conversion.created_at)
+    ));
+    
+    await ctx.reply(
+      `👤 User ${describeUser(user)}\n\n` +
+      `Joined: ${getTimeDifference(user.created_at)}\n` +
+      `Last active: ${getTimeDifference(user.last_activity)}\n` +
+      `Credits: ${user.credits}\n` +
+      `Referrals: ${user.referrals}\n` +
+      `Conversions: ${user.usage_count}\n` +
+      `Plan: ${planText}\n` +
+      `Referrer: ${referrerText}\n` +
+      (role ? `Role: ${role}\n` : '') +
+      `Status: ${statusText}\n\n` +
+      `Recent conversions:\n${conversionLines.join('\n') || 'none'}`
+    );
+  } catch (error) {
+    console.error('Error in user handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Resolve the user ID a ban command refers to
+ * Unknown numeric IDs are accepted, so users can be banned before they join.
+ * @param {string} query - Numeric user ID or @username
+ * @returns {Promise<number|null>} User ID, or null if the username is unknown
+ */
+async function resolveUserId(query) {
+  if (/^\d+$/.test(query)) {
+    return parseInt(query);
+  }
+  const user = await userService.findUser(query);
+  return user ? user.user_id : null;
+}
+
+/**
+ * Handle /ban command
+ * Usage: /ban <user_id|@username> [duration] <reason>, with durations such
+ * as 30m, 12h, 7d or 2w; without a duration the ban is permanent.
+ * @param {Object} ctx - Telegram context
+ */
+async function banHandler(ctx) {
+  try {
+    const args = ctx.message.text.split(' ').filter(Boolean);
+    const durationSeconds = args.length > 2 ? parsePeriod(args[2]) : null;
+    const reason = args.slice(durationSeconds ? 3 : 2).join(' ');
+    
+    if (args.length < 3 || !reason) {
+      return ctx.reply('Usage: /ban <user_id|@username> [duration, e.g. 12h or 7d] <reason>');
+    }
+    
+    const targetUserId = await resolveUserId(args[1]);
+    if (!targetUserId) {
+      return ctx.reply(`User ${args[1]} not found.`);
+    }
+    if (await roleService.getRole(targetUserId)) {
+      return ctx.reply('Staff members cannot be banned. Revoke their role first.');
+    }
+    
+    const ban = await banService.banUser(targetUserId, {
+      reason,
+      durationSeconds,
+      bannedBy: ctx.from.id
+    });
+    
+    const until = ban.expires_at ? `until ${formatDateTime(ban.expires_at)}` : 'permanently';
+    await auditService.logAction(getActor(ctx), 'user.ban', {
+      targetId: targetUserId,
+      description: `${durationSeconds ? `For ${args[2]}` : 'Permanent'}: ${reason}`
+    });
+    
+    await ctx.reply(`🚫 User ${targetUserId} is banned ${until}.\nReason: ${reason}`);
+  } catch (error) {
+    console.error('Error in ban handler:', error);
+    await ctx.reply(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Handle /unban command
+ * Usage: /unban <user_id|@username> [reason]
+ * @param {Object} ctx - Telegram context
+ */
+async function unbanHandler(ctx) {
+  try {
+    const args = ctx.message.text.split(' ').filter(Boolean);
+    if (args.length < 2) {
+      return ctx.reply('Usage: /unban <user_id|@username> [reason]');
+    }
+    
+    const targetUserId = await resolveUserId(args[1]);
+    if (!targetUserId) {
+      return ctx.reply(`User ${args[1]} not found.`);
+    }
+    
+    const wasBanned = await banService.unbanUser(targetUserId);
+    if (!wasBanned) {
+      return ctx.reply(`User ${targetUserId} is not banned.`);
+    }
+    
+    const reason = args.slice(2).join(' ');
+    await auditService.logAction(getActor(ctx), 'user.unban', {
+      targetId: targetUserId,
+      description: reason
+    });
+    
+    await ctx.reply(`✅ User ${targetUserId} is no longer banned.`);
+  } catch (error) {
+    console.error('Error in unban handler:', error);
+    await ctx.reply(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Handle /broadcast command (reply to the message to send)
+ * Usage: /broadcast [audience]; the broadcast starts once it is confirmed.
+ * @param {Object} ctx - Telegram context
+ */
+async function broadcastHandler(ctx) {
+  try {
+    const args = ctx.message.text.split(' ').filter(Boolean);
+    const audience = (args[1] || 'all').toLowerCase();
+    const source = ctx.message.reply_to_message;
+    
+    if (!source || args.length > 2 || !broadcastService.isValidAudience(audience)) {
+      return ctx.reply(
+        'Reply to the message you want to send with /broadcast [audience].\n\n' +
+        `Audiences: ${broadcastService.AUDIENCES.join(', ')} (default: all)`
+      );
+    }
+    
+    const users = await broadcastService.getAudience(audience);
+    if (users.length === 0) {
+      return ctx.reply(`No users match the audience "${audience}".`);
+    }
+    
+    const broadcastId = await broadcastService.createBroadcast({
+      createdBy: ctx.from.id,
+      audience,
+      sourceChatId: ctx.chat.id,
+      sourceMessageId: source.message_id,
+      total: users.length
+    });
+    
+    await ctx.reply(
+      `📣 Send the replied message to ${users.length} users (${audience})?`,
+      Markup.inlineKeyboard([
+        Markup.button.callback('✅ Send', `broadcast_send_${broadcastId}`),
+        Markup.button.callback('❌ Cancel', `broadcast_cancel_${broadcastId}`)
+      ])
+    );
+  } catch (error) {
+    console.error('Error in broadcast handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle broadcast confirmation buttons
+ * The broadcast runs in the background; progress is shown in the
+ * confirmation message and a report is posted when it finishes.
+ * @param {Object} ctx - Telegram context
+ */
+async function broadcastConfirmHandler(ctx) {
+  try {
+    const [, decision, broadcastId] = ctx.match;
+    const broadcast = await broadcastService.claimBroadcast(broadcastId, decision === 'send' ? 'sending' : 'cancelled');
+    
+    if (!broadcast) {
+      return ctx.answerCbQuery('This broadcast was already sent or cancelled.');
+    }
+    
+    await ctx.answerCbQuery();
+    
+    if (decision === 'cancel') {
+      await auditService.logAction(getActor(ctx), 'broadcast.cancel', { description: broadcast.audience });
+      return ctx.editMessageText('❌ Broadcast cancelled.');
+    }
+    
+    await auditService.logAction(getActor(ctx), 'broadcast.send', {
+      description: `${broadcast.audience}, about ${broadcast.total} users`
+    });
+    
+    const chatId = ctx.chat.id;
+    const messageId = ctx.callbackQuery.message.message_id;
+    const telegram = ctx.telegram;
+    const title = `📣 Broadcasting to ${broadcast.audience}...`;
+    await ctx.editMessageText(title);
+    const reporter = createProgressReporter(telegram, chatId, messageId, { title });
+    
+    broadcastService.runBroadcast(telegram, broadcast, reporter.update)
+      .then(async (report) => {
+        await reporter.stop();
+        await telegram.sendMessage(
+          chatId,
+          `📣 Broadcast finished (${broadcast.audience})\n\n` +
+          `Sent: ${report.sent}\n` +
+          `Failed: ${report.failed}\n` +
+          `Blocked: ${report.blocked}\n` +
+          `Total: ${report.total}`
+        );
+      })
+      .catch(async (error) => {
+        await reporter.stop();
+        console.error('Error running broadcast:', error);
+        await telegram.sendMessage(chatId, `❌ Broadcast stopped: ${error.message}`).catch(() => {});
+      });
+  } catch (error) {
+    console.error('Error in broadcast confirm handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle /auditlog command (recent admin actions, optionally about one user)
+ * @param {Object} ctx - Telegram context
+ */
+async function auditLogHandler(ctx) {
+  try {
+    const args = ctx.message.text.split(' ');
+    const targetUserId = args.length > 1 ? parseInt(args[1]) : null;
+    
+    if (args.length > 2 || (args.length === 2 && isNaN(targetUserId))) {
+      return ctx.reply('Usage: /auditlog [user_id]');
+    }
+    
+    const entries = await auditService.getEntries({ targetId: targetUserId });
+    await auditService.logAction(getActor(ctx), 'audit.view', { targetId: targetUserId });
+    
+    if (entries.length === 0) {
+      return ctx.reply('📜 The audit log is empty.');
+    }
+    
+    const lines = entries.map(entry => {
+      const target = entry.target_id ? ` → ${entry.target_id}` : '';
+      const description = entry.description ? `: ${entry.description}` : '';
+      return `${getTimeDifference(entry.created_at)} • ${entry.actor_id} (${entry.actor_role}) • ${entry.action}${target}${description}`;
+    });
+    
+    await ctx.reply(
+      `📜 Audit Log${targetUserId ? ` for user ${targetUserId}` : ''}\n\n` +
+      lines.join('\n')
+    );
+  } catch (error) {
+    console.error('Error in audit log handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+module.exports = {
+  getActor,
+  grantHandler,
+  revokeHandler,
+  staffHandler,
+  userHandler,
+  banHandler,
+  unbanHandler,
+  broadcastHandler,
+  broadcastConfirmHandler,
+  auditLogHandler
+};
@@ -0,0 +1,134 @@
+const { Markup } = require('telegraf');
+const audioEffectsService = require('../services/audioEffectsService');
+const uploadService = require('../services/uploadService');
+const { getFormatKeyboard, findUpload } = require('./mediaHandlers');
+const { getBatchKeyboard, getBatchText } = require('./batchHandlers');
+
+/**
+ * Build the audio effects menu keyboard
+ * @param {Object} upload - Pending audio upload
+ * @returns {Object} Telegraf inline keyboard markup
+ */
+function getEffectsKeyboard(upload) {
+  const buttons = audioEffectsService.getEffectEntries(upload.audio_effects).map(entry => [
+    Markup.button.callback(`${entry.label}: ${entry.valueLabel}`, `afx_${upload.id}_${entry.name}`)
+  ]);
+  buttons.push([
+    Markup.button.callback('🔄 Reset', `aeffects_reset_${upload.id}`),
+    Markup.button.callback('✅ Done', `aeffects_done_${upload.id}`)
+  ]);
+  return Markup.inlineKeyboard(buttons);
+}
+
+/**
+ * Save the effects of an upload and remember them for the next uploads
+ * @param {Object} ctx - Telegram context
+ * @param {Object} upload - Pending audio upload
+ * @param {Object|null} effects - Chosen effects
+ * @returns {Promise<void>}
+ */
+async function saveEffects(ctx, upload, effects) {
+  upload.audio_effects = effects;
+  ctx.session = ctx.session || {};
+  ctx.session.audioEffects = effects;
+  await uploadService.updateUpload(upload.id, { audio_effects: effects });
+}
+
+/**
+ * Handle effects action (open the audio effects menu)
+ * @param {Object} ctx - Telegram context
+ */
+async function effectsMenuHandler(ctx) {
+  try {
+    const upload = await findUpload(ctx, ctx.match[1], 'audio');
+    if (!upload) {
+      return;
+    }
+    
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(
+      '🎛 Audio effects\n\nTap an effect to change it. Effects can be combined and apply to any audio format.',
+      getEffectsKeyboard(upload)
+    );
+  } catch (error) {
+    console.error('Error in effects menu handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle effect action (switch one effect to its next value)
+ * @param {Object} ctx - Telegram context
+ */
+async function effectToggleHandler(ctx) {
+  try {
+    const [, uploadId, name] = ctx.match;
+    const upload = await findUpload(ctx, uploadId, 'audio');
+    if (!upload) {
+      return;
+    }
+    
+    await saveEffects(ctx, upload, audioEffectsService.cycleEffect(upload.audio_effects || {}, name));
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(getEffectsKeyboard(upload).reply_markup);
+  } catch (error) {
+    if (error.message === 'Unknown audio effect') {
+      return ctx.answerCbQuery('This option is no longer available.');
+    }
+    console.error('Error in effect toggle handler:', error);
+    await ctx.answerCbQuery('An error occurred. Please try again later.').catch(() => {});
+  }
+}
+
+/**
+ * Handle reset action (turn all audio effects off)
+ * @param {Object} ctx - Telegram context
+ */
+async function effectsResetHandler(ctx) {
+  try {
+    const upload = await findUpload(ctx, ctx.match[1], 'audio');
+    if (!upload) {
+      return;
+    }
+    
+    await saveEffects(ctx, upload, null);
+    await ctx.answerCbQuery('Effects turned off');
+    await ctx.editMessageReplyMarkup(getEffectsKeyboard(upload).reply_markup);
+  } catch (error) {
+    console.error('Error in effects reset handler:', error);
+    await ctx.answerCbQuery('An error occurred. Please try again later.').catch(() => {});
+  }
+}
+
+/**
+ * Handle done action (return to the format selection of the file or batch)
+ * @param {Object} ctx - Telegram context
+ */
+async function effectsDoneHandler(ctx) {
+  try {
+    const upload = await findUpload(ctx, ctx.match[1], 'audio');
+    if (!upload) {
+      return;
+    }
+    
+    await ctx.answerCbQuery();
+    if (upload.files) {
+      await ctx.editMessageText(getBatchText(upload), await getBatchKeyboard(upload));
+    } else {
+      await ctx.editMessageText(
+        '🎵 Please select the conversion format:',
+        await getFormatKeyboard(upload)
+      );
+    }
+  } catch (error) {
+    console.error('Error in effects done handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+module.exports = {
+  effectsMenuHandler,
+  effectToggleHandler,
+  effectsResetHandler,
+  effectsDoneHandler
+};
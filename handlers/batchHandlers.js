@@ -0,0 +1,389 @@
+const { Markup } = require('telegraf');
+const userService = require('../services/userService');
+const mediaService = require('../services/mediaService');
+const queueService = require('../services/queueService');
+const conversionService = require('../services/conversionService');
+const audioEffectsService = require('../services/audioEffectsService');
+const uploadService = require('../services/uploadService');
+const planService = require('../services/planService');
+const pricingService = require('../services/pricingService');
+const { generateRandomString } = require('../utils/helpers');
+
+// Maximum number of files in one batch
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || 10;
+
+// Album items arrive as separate updates; wait this long for the rest before replying
+const BATCH_REPLY_DELAY_MS = 1500;
+
+// Pending batch replies, keyed by chat ID
+const replyTimers = new Map();
+
+// Reply to buttons of batches that were converted or have expired
+const BATCH_EXPIRED_MESSAGE = 'This batch has expired or was already converted. Please send the files again.';
+
+/**
+ * Build the format selection keyboard for a batch upload
+ * Audio batches also get the effects menu; the effects apply to every file.
+ * @param {Object} upload - Pending batch upload (see uploadService)
+ * @returns {Promise<Object>} Telegraf inline keyboard markup with the formats of the user's plan
+ */
+async function getBatchKeyboard(upload) {
+  const plan = await planService.getPlanForUser(upload.user_id);
+  const formats = mediaService.getAvailableFormats(upload.file_type)
+    .filter(format => planService.isFormatAllowed(plan, upload.file_type, format.value));
+  const buttons = formats.map(format => {
+    const total = pricingService.getBatchPrices(upload, format.value).reduce((sum, price) => sum + price, 0);
+    return [Markup.button.callback(
+      `${format.label} • ${pricingService.formatCredits(total)}`,
+      `bformat_${upload.id}_${format.value}`
+    )];
+  });
+  if (upload.file_type === 'audio') {
+    const effects = audioEffectsService.describeEffects(upload.audio_effects);
+    const label = effects.length > 40 ? `${effects.slice(0, 40)}…` : effects;
+    buttons.push([Markup.button.callback(effects ? `🎛 Effects: ${label}` : '🎛 Effects', `aeffects_${upload.id}`)]);
+  }
+  buttons.push([
+    Markup.button.callback(`📦 ZIP: ${upload.zip ? 'On' : 'Off'}`, `bzip_${upload.id}`),
+    Markup.button.callback('❌ Cancel batch', `bcancel_${upload.id}`)
+  ]);
+  return Markup.inlineKeyboard(buttons);
+}
+
+/**
+ * Get the text shown above the batch format keyboard
+ * @param {Object} upload - Pending batch upload
+ * @returns {string} Message text
+ */
+function getBatchText(upload) {
+  const effects = upload.file_type === 'audio' && audioEffectsService.hasEffects(upload.audio_effects)
+    ? `🎛 Effects for all files: ${audioEffectsService.describeEffects(upload.audio_effects)}\n\n`
+    : '';
+  return `📚 ${upload.files.length} ${upload.file_type} files ready.\n\n` + effects +
+    'Pick one format for all of them. Each button shows the total price; ' +
+    'files are priced by length and size, and failed files are refunded.';
+}
+
+/**
+ * Store a collected batch as a pending upload and show its format keyboard
+ * @param {Object} telegram - Telegraf Telegram instance
+ * @param {number} chatId - Chat to send the keyboard to
+ * @param {number} userId - Telegram user ID
+ * @param {Object} batch - Batch collected in the session
+ * @param {Object} session - Telegram session (for the user's conversion settings)
+ * @returns {Promise<void>}
+ */
+async function showBatch(telegram, chatId, userId, batch, session) {
+  const upload = await uploadService.createUpload(userId, {
+    file_type: batch.fileType,
+    files: batch.files,
+    zip: false,
+    ...uploadService.getSessionSettings(session)
+  });
+  await telegram.sendMessage(chatId, getBatchText(upload), await getBatchKeyboard(upload));
+}
+
+/**
+ * Reply once all items of an album (or a quick series of files) have arrived
+ * The batch is read when the reply is sent, so it counts every file added in between.
+ * @param {Object} ctx - Telegram context
+ * @param {Object} batch - Batch from the session
+ */
+function scheduleBatchReply(ctx, batch) {
+  const chatId = ctx.chat.id;
+  const userId = ctx.from.id;
+  const session = ctx.session;
+  clearTimeout(replyTimers.get(chatId));
+  
+  replyTimers.set(chatId, setTimeout(() => {
+    replyTimers.delete(chatId);
+    const reply = batch.collecting
+      ? ctx.telegram.sendMessage(
+        chatId,
+        `📥 ${batch.files.length} of up to ${MAX_BATCH_FILES} files added. Send more or /done when finished.`
+      )
+      : showBatch(ctx.telegram, chatId, userId, batch, session);
+    reply.catch(err => console.error('Error sending batch reply:', err));
+  }, BATCH_REPLY_DELAY_MS));
+}
+
+/**
+ * Check whether an upload belongs to a batch (an album, or /batch is collecting)
+ * @param {Object} ctx - Telegram context
+ * @returns {boolean} True if the upload should be added to a batch
+ */
+function isBatchUpload(ctx) {
+  return Boolean(ctx.message.media_group_id || ctx.session?.batch?.collecting);
+}
+
+/**
+ * Add an accepted upload to the batch collected in the session
+ * Albums start a new batch unless /batch is collecting; all files of a batch
+ * must have the same type.
+ * @param {Object} ctx - Telegram context
+ * @param {string} fileType - Type of file (video, audio, image)
+ * @param {Object} fileInfo - File data with file_id, file_name, file_size and duration
+ */
+async function addToBatch(ctx, fileType, fileInfo) {
+  ctx.session = ctx.session || {};
+  const mediaGroupId = ctx.message.media_group_id || null;
+  let batch = ctx.session.batch;
+  
+  if (!batch || (!batch.collecting && batch.mediaGroupId !== mediaGroupId)) {
+    batch = ctx.session.batch = {
+      files: [],
+      fileType,
+      mediaGroupId,
+      collecting: false
+    };
+  }
+  
+  batch.fileType = batch.fileType || fileType;
+  if (batch.fileType !== fileType) {
+    return ctx.reply(
+      `❌ ${fileInfo.file_name} was skipped: all files in a batch must be ${batch.fileType} files.`
+    );
+  }
+  if (batch.files.length >= MAX_BATCH_FILES) {
+    return ctx.reply(`❌ ${fileInfo.file_name} was skipped: a batch can hold up to ${MAX_BATCH_FILES} files.`);
+  }
+  
+  batch.files.push(fileInfo);
+  scheduleBatchReply(ctx, batch);
+}
+
+/**
+ * Handle /batch command (start collecting files for a batch)
+ * @param {Object} ctx - Telegram context
+ */
+async function batchHandler(ctx) {
+  try {
+    ctx.session = ctx.session || {};
+    ctx.session.batch = { files: [], fileType: null, mediaGroupId: null, collecting: true };
+    
+    await ctx.reply(
+      `📚 Batch mode on. Send up to ${MAX_BATCH_FILES} files of the same type (videos, audio or images), ` +
+      'then send /done to pick one format for all of them.'
+    );
+  } catch (error) {
+    console.error('Error in batch handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle /done command (stop collecting and show the batch formats)
+ * @param {Object} ctx - Telegram context
+ */
+async function doneHandler(ctx) {
+  try {
+    const batch = ctx.session?.batch;
+    if (!batch || !batch.collecting) {
+      return ctx.reply('❌ Batch mode is not on. Send /batch to start one.');
+    }
+    if (batch.files.length === 0) {
+      return ctx.reply('❌ The batch is empty. Send some files first, or /batch to start over.');
+    }
+    
+    clearTimeout(replyTimers.get(ctx.chat.id));
+    replyTimers.delete(ctx.chat.id);
+    delete ctx.session.batch;
+    await showBatch(ctx.telegram, ctx.chat.id, ctx.from.id, batch, ctx.session);
+  } catch (error) {
+    console.error('Error in done handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Load the pending batch upload a keyboard button belongs to
+ * Answers the callback query with an expiry notice if the batch is gone.
+ * @param {Object} ctx - Telegram context
+ * @returns {Promise<Object|null>} Batch upload, or null if it is not available
+ */
+async function findBatch(ctx) {
+  const upload = await uploadService.getUpload(ctx.from.id, ctx.match[1]);
+  if (!upload || !upload.files) {
+    await ctx.answerCbQuery(BATCH_EXPIRED_MESSAGE);
+    return null;
+  }
+  return upload;
+}
+
+/**
+ * Handle ZIP toggle action
+ * @param {Object} ctx - Telegram context
+ */
+async function zipToggleHandler(ctx) {
+  try {
+    const upload = await findBatch(ctx);
+    if (!upload) {
+      return;
+    }
+    
+    upload.zip = !upload.zip;
+    await uploadService.updateUpload(upload.id, { zip: upload.zip });
+    await ctx.answerCbQuery(upload.zip ? 'Results will be sent as a ZIP archive' : 'Results will be sent one by one');
+    await ctx.editMessageReplyMarkup((await getBatchKeyboard(upload)).reply_markup);
+  } catch (error) {
+    console.error('Error in zip toggle handler:', error);
+    await ctx.answerCbQuery('An error occurred. Please try again later.').catch(() => {});
+  }
+}
+
+/**
+ * Handle cancel batch action (drop the collected files)
+ * @param {Object} ctx - Telegram context
+ */
+async function cancelBatchHandler(ctx) {
+  try {
+    await uploadService.claimUpload(ctx.from.id, ctx.match[1]);
+    await ctx.answerCbQuery();
+    await ctx.editMessageText('🚫 Batch cancelled.');
+  } catch (error) {
+    console.error('Error in cancel batch handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle batch format action: reserve credits for every file and queue one job
+ * @param {Object} ctx - Telegram context
+ */
+async function batchConvertHandler(ctx) {
+  try {
+    const [, uploadId, format] = ctx.match;
+    const userId = ctx.from.id;
+    
+    // Taking the upload means a second tap cannot queue the batch twice
+    const upload = await uploadService.claimUpload(userId, uploadId);
+    if (!upload || !upload.files) {
+      return ctx.answerCbQuery(BATCH_EXPIRED_MESSAGE);
+    }
+    if (!mediaService.getAvailableFormats(upload.file_type).some(option => option.value === format)) {
+      await uploadService.restoreUpload(upload);
+      return ctx.answerCbQuery('This format is no longer available.');
+    }
+    const plan = await planService.getPlanForUser(userId);
+    if (!planService.isFormatAllowed(plan, upload.file_type, format)) {
+      await uploadService.restoreUpload(upload);
+      return ctx.answerCbQuery(`This format is not available on the ${plan.label} plan. Use /plan to upgrade.`);
+    }
+    await ctx.answerCbQuery();
+    
+    // Every file counts towards the daily limit, which was only checked per upload;
+    // conversions still in the queue are already deducted from the remaining ones
+    const remaining = await userService.getRemainingConversions(userId);
+    if (upload.files.length > remaining) {
+      await uploadService.restoreUpload(upload);
+      return ctx.reply(
+        `❌ This batch has ${upload.files.length} files, but your ${plan.label} plan allows ` +
+        `${remaining} more conversion${remaining === 1 ? '' : 's'} today.\n\n` +
+        'Send a smaller batch, or use /plan to upgrade for a higher daily limit.'
+      );
+    }
+    
+    const audioEffects = upload.file_type === 'audio' && audioEffectsService.hasEffects(upload.audio_effects)
+      ? upload.audio_effects
+      : null;
+    let formatLabel = format;
+    if (audioEffects) {
+      formatLabel += ` + ${audioEffectsService.describeEffects(audioEffects)}`;
+    }
+    
+    // Reserve credits for every file up front; give them all back if one fails
+    const prices = pricingService.getBatchPrices(upload, format);
+    const files = upload.files.map((file, index) => ({
+      file_id: file.file_id,
+      file_name: file.file_name,
+      file_size: file.file_size,
+      credits: prices[index],
+      reservation_id: generateRandomString(20)
+    }));
+    const refundAll = () => Promise.all(files.map(file => userService.refundCredits(file.reservation_id)));
+    
+    try {
+      for (const file of files) {
+        await userService.reserveCredits(
+          userId,
+          file.credits,
+          file.reservation_id,
+          `Batch conversion of ${file.file_name} to ${formatLabel}`
+        );
+      }
+    } catch (error) {
+      await refundAll();
+      await uploadService.restoreUpload(upload);
+      if (error.message === 'Insufficient credits') {
+        return ctx.reply(
+          `❌ You don't have enough credits for ${files.length} conversions ` +
+          `(${pricingService.formatCredits(prices.reduce((sum, price) => sum + price, 0))}).\n\n` +
+          'Use /buy to purchase more credits or /refer to earn free credits.'
+        );
+      }
+      throw error;
+    }
+    
+    // Send status message, updated by the worker once the job starts
+    const statusMsg = await ctx.reply(`⏳ Adding your ${files.length} files to the queue...`);
+    
+    let job;
+    try {
+      job = await queueService.enqueue({
+        batch: true,
+        user_id: userId,
+        chat_id: ctx.chat.id,
+        status_message_id: statusMsg.message_id,
+        files,
+        file_type: upload.file_type,
+        format: format,
+        format_label: formatLabel,
+        zip: upload.zip,
+        scale_mode: upload.scale_mode,
+        auto_rotate: upload.auto_rotate,
+        image_size: upload.image_size,
+        image_quality: upload.image_quality,
+        audio_effects: audioEffects,
+        priority: plan.priority
+      });
+    } catch (error) {
+      await refundAll();
+      await uploadService.restoreUpload(upload);
+      if (error.message === 'Queue limit reached') {
+        return ctx.telegram.editMessageText(
+          ctx.chat.id,
+          statusMsg.message_id,
+          undefined,
+          '❌ You have too many conversions in the queue. Please wait for them to finish.'
+        );
+      }
+      throw error;
+    }
+    
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    if (job.position > 0) {
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        statusMsg.message_id,
+        undefined,
+        `⏳ Your batch is queued. You are #${job.position} in line.`,
+        conversionService.getCancelKeyboard(job.id)
+      ).catch(() => {});
+    }
+  } catch (error) {
+    console.error('Error in batch convert handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+module.exports = {
+  getBatchKeyboard,
+  getBatchText,
+  isBatchUpload,
+  addToBatch,
+  batchHandler,
+  doneHandler,
+  zipToggleHandler,
+  cancelBatchHandler,
+  batchConvertHandler
+};
@@ -1,4 +1,14 @@
+const { Markup } = require('telegraf');
 const userService = require('../services/userService');
+const paymentService = require('../services/paymentService');
+const planService = require('../services/planService');
+const pricingService = require('../services/pricingService');
+const queueService = require('../services/queueService');
+const conversionService = require('../services/conversionService');
+const auditService = require('../services/auditService');
+const statsService = require('../services/statsService');
+const { getActor } = require('./adminHandlers');
+const { getTimeDifference, formatDuration, formatProgressBar } = require('../utils/helpers');
 
 /**
  * Handle /start command
@@ -23,7 +33,7 @@ async function startHandler(ctx) {
     });
     
     // Process referral if this is a new user
-    if (referrerId && user.created_at) {
+    if (referrerId && user.is_new) {
       await userService.processReferral(referrerId, userId);
     }
     
@@ -33,10 +43,11 @@ async function startHandler(ctx) {
       `This bot was devloped by @regnis. \n\n` +
       `You have ${user.credits} credits available.\n\n` +
       `How to use:\n` +
-      `1. Send me any video or audio file (up to ${process.env.MAX_FILE_SIZE_MB}MB)\n` +
+      `1. Send me any video, audio or image file (up to ${planService.getMaxFileSizeMb(planService.getUserPlan(user))}MB)\n` +
       `2. Choose your desired conversion format\n` +
       `3. Wait for the conversion to complete\n\n` +
-      `Each conversion costs ${process.env.CREDIT_PER_CONVERSION} credit.\n` +
+      `Conversions cost from ${pricingService.formatCredits(pricingService.getBasePrice())} depending on length, resolution and size; ` +
+      `each format button shows its price.\n` +
       `Use /help to see all available commands.`
     );
   } catch (error) {
@@ -55,9 +66,15 @@ async function helpHandler(ctx) {
     `/start - Start the bot and see welcome message\n` +
     `/help - Show this help message\n` +
     `/credits - Check your remaining credits\n` +
+    `/history - Show your recent credit movements\n` +
     `/buy - Learn how to buy more credits\n` +
-    `/refer - Get your referral link to earn free credits\n\n` +
-    `Simply send me any video or audio file to start converting!`
+    `/plan - Show your plan and upgrade or renew it\n` +
+    `/refer - Get your referral link to earn free credits\n` +
+    `/cancel - Cancel your queued and running conversions\n` +
+    `/presets - Manage your saved video presets\n` +
+    `/info - Reply to a media message to see its details (free)\n` +
+    `/batch - Convert several files to the same format (finish with /done)\n\n` +
+    `Simply send me any video, audio, image, voice message or video note to start converting! Albums are converted as a batch.`
   );
 }
 
@@ -72,7 +89,8 @@ async function creditsHandler(ctx) {
     
     await ctx.reply(
       `💰 Credits Balance: ${user.credits}\n\n` +
-      `Each conversion costs ${process.env.CREDIT_PER_CONVERSION} credit.\n` +
+      `Conversions cost from ${pricingService.formatCredits(pricingService.getBasePrice())} depending on length, resolution and size; ` +
+      `each format button shows its price.\n` +
       `Use /buy to purchase more credits or /refer to earn free credits by inviting friends.`
     );
   } catch (error) {
@@ -81,22 +99,119 @@ async function creditsHandler(ctx) {
   }
 }
 
+/**
+ * Handle /history command (recent credit movements)
+ * @param {Object} ctx - Telegram context
+ */
+async function historyHandler(ctx) {
+  try {
+    const userId = ctx.from.id;
+    const transactions = await userService.getCreditHistory(userId);
+    
+    if (transactions.length === 0) {
+      return ctx.reply('📜 You have no credit history yet.');
+    }
+    
+    const lines = transactions.map(transaction => {
+      const sign = transaction.amount > 0 ? '+' : '';
+      const date = getTimeDifference(transaction.created_at);
+      const pending = transaction.status === 'reserved' ? ' ⏳' : '';
+      return `${sign}${transaction.amount} • ${transaction.description}${pending} • ${date}`;
+    });
+    
+    await ctx.reply(
+      `📜 Credit History\n\n` +
+      lines.join('\n') +
+      `\n\n⏳ = reserved for a conversion in progress`
+    );
+  } catch (error) {
+    console.error('Error in history handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
 /**
  * Handle /buy command
  * @param {Object} ctx - Telegram context
  */
 async function buyHandler(ctx) {
+  const packages = paymentService.getPackages();
+  
+  if (packages.length === 0) {
+    return ctx.reply('💳 Credit purchases are currently unavailable.');
+  }
+  
+  const buttons = packages.map(pkg => [
+    Markup.button.callback(
+      `${pkg.credits} credits - ${paymentService.formatPrice(pkg.price)}`,
+      `buy_${pkg.id}`
+    )
+  ]);
+  
   await ctx.reply(
     `💳 Buy More Credits\n\n` +
-    `To purchase more credits, please contact our administrator at @admin_username.\n\n` +
-    `Available packages:\n` +
-    `• 50 credits - $5\n` +
-    `• 120 credits - $10\n` +
-    `• 300 credits - $20\n\n` +
-    `After payment, your credits will be added to your account immediately.`
+    `Choose a package below. You will receive an invoice you can pay directly in Telegram.\n\n` +
+    `After payment, your credits will be added to your account immediately.`,
+    Markup.inlineKeyboard(buttons)
   );
 }
 
+/**
+ * Describe the limits of a plan in one line
+ * @param {Object} plan - Plan
+ * @returns {string} Plan summary
+ */
+function describePlan(plan) {
+  return `${plan.dailyLimit} conversions per day, files up to ${planService.getMaxFileSizeMb(plan)}MB, ` +
+    (plan.formats ? 'basic formats' : 'all formats and custom video settings') +
+    (plan.priority > 0 ? ', priority in the queue' : '');
+}
+
+/**
+ * Handle /plan command (also used by the "More formats" button)
+ * Shows the user's plan and offers invoices to renew it or upgrade.
+ * @param {Object} ctx - Telegram context
+ */
+async function planHandler(ctx) {
+  try {
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery();
+    }
+    
+    const user = await userService.getOrCreateUser(ctx.from.id);
+    const plan = planService.getUserPlan(user);
+    const days = planService.PLAN_DURATION_DAYS;
+    
+    const lines = planService.getPlans().map(option => (
+      `${option.id === plan.id ? '▶️' : '•'} ${option.label}` +
+      (option.price > 0 ? ` (${paymentService.formatPrice(option.price)} / ${days} days)` : '') +
+      `: ${describePlan(option)}`
+    ));
+    
+    // Plans below an active paid plan are not offered; buying one would replace it
+    const buttons = planService.getPlans()
+      .filter(option => option.price > 0 && option.priority >= plan.priority)
+      .map(option => [
+        Markup.button.callback(
+          `${option.id === plan.id ? '🔄 Renew' : '⬆️ Upgrade to'} ${option.label} - ${paymentService.formatPrice(option.price)}`,
+          `plan_${option.id}`
+        )
+      ]);
+    
+    await ctx.reply(
+      `📋 Your Plan: ${plan.label}\n` +
+      (plan.expiresAt
+        ? `Valid until ${plan.expiresAt.toISOString().slice(0, 10)}. Renewing adds ${days} days.\n\n`
+        : '\n') +
+      `Plans:\n${lines.join('\n')}`,
+      Markup.inlineKeyboard(buttons)
+    );
+  } catch (error) {
+    console.error('Error in plan handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
 /**
  * Handle /refer command
  * @param {Object} ctx - Telegram context
@@ -120,26 +235,83 @@ async function referHandler(ctx) {
 }
 
 /**
- * Handle /stats command (admin only)
+ * Handle /cancel command (cancel all queued and running conversions)
  * @param {Object} ctx - Telegram context
  */
-async function statsHandler(ctx) {
+async function cancelHandler(ctx) {
   try {
     const userId = ctx.from.id;
+    const results = await queueService.cancelUserJobs(userId);
     
-    // Check if user is admin
-    if (userId != process.env.ADMIN_ID) {
-      return ctx.reply('You do not have permission to use this command.');
+    if (results.length === 0) {
+      return ctx.reply('You have no conversions in progress.');
     }
     
-    const stats = await userService.getStats();
+    for (const result of results) {
+      await conversionService.finalizeCancelledJob(ctx.telegram, result);
+    }
     
-    await ctx.reply(
-      `📊 Bot Statistics\n\n` +
-      `Total Users: ${stats.totalUsers}\n` +
-      `Active Users (7d): ${stats.activeUsers}\n` +
-      `Total Conversions: ${stats.totalConversions}\n`
-    );
+    await ctx.reply(`🚫 Cancelled ${results.length} conversion${results.length > 1 ? 's' : ''}. No credits were deducted.`);
+  } catch (error) {
+    console.error('Error in cancel handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {string} Percentage (e.g., "12.5%")
+ */
+function formatPercent(part, total) {
+  return `${total > 0 ? parseFloat((part / total * 100).toFixed(1)) : 0}%`;
+}
+
+/**
+ * Build the /stats report
+ * @param {Object} stats - Statistics from statsService.getStats
+ * @returns {string} Report text
+ */
+function formatStatsReport(stats) {
+  const maxDaily = Math.max(1, ...stats.daily.map(day => day.conversions));
+  const daily = stats.daily
+    .map(day => `${day.date.slice(5)} ${formatProgressBar(day.conversions / maxDaily * 100)} ${day.conversions}`)
+    .join('\n');
+  const weekly = stats.weekly
+    .map(week => `from ${week.from.slice(5)}: ${week.conversions}`)
+    .join('\n');
+  const topFormats = stats.topFormats.length > 0
+    ? stats.topFormats.map(({ format, count }) => `${format}: ${count} (${formatPercent(count, stats.conversions)})`).join('\n')
+    : 'No conversions yet';
+  const averageTime = stats.averageProcessingMs === null
+    ? 'n/a'
+    : formatDuration(stats.averageProcessingMs / 1000);
+  
+  return `📊 Bot Statistics (last ${stats.periodDays} days)\n\n` +
+    `👥 Users: ${stats.totalUsers} total, ${stats.activeUsers} active (7d)\n` +
+    `New users: ${stats.newUsers}\n` +
+    `Joined via referral: ${stats.referrals} (${formatPercent(stats.referrals, stats.newUsers)})\n\n` +
+    `🔄 Conversions per day:\n${daily}\n\n` +
+    `Conversions per week:\n${weekly}\n\n` +
+    `🏆 Top formats:\n${topFormats}\n\n` +
+    `Conversions: ${stats.conversions} (${stats.cacheHits} from cache)\n` +
+    `Failure rate: ${formatPercent(stats.failures, stats.conversions + stats.failures)} (${stats.failures} failed)\n` +
+    `Average processing time: ${averageTime}\n\n` +
+    `💳 Credits issued: ${stats.creditsIssued}\n` +
+    `Credits spent: ${stats.creditsSpent}`;
+}
+
+/**
+ * Handle /stats command (staff only)
+ * @param {Object} ctx - Telegram context
+ */
+async function statsHandler(ctx) {
+  try {
+    const stats = await statsService.getStats();
+    await auditService.logAction(getActor(ctx), 'stats.view');
+    
+    await ctx.reply(formatStatsReport(stats));
   } catch (error) {
     console.error('Error in stats handler:', error);
     await ctx.reply('An error occurred. Please try again later.');
@@ -147,18 +319,13 @@ async function statsHandler(ctx) {
 }
 
 /**
- * Handle /addcredits command (admin only)
+ * Handle /addcredits command (admins only)
  * @param {Object} ctx - Telegram context
  */
 async function addCreditsHandler(ctx) {
   try {
     const userId = ctx.from.id;
     
-    // Check if user is admin
-    if (userId != process.env.ADMIN_ID) {
-      return ctx.reply('You do not have permission to use this command.');
-    }
-    
     const args = ctx.message.text.split(' ');
     if (args.length !== 3) {
       return ctx.reply('Usage: /addcredits <user_id> <amount>');
@@ -171,7 +338,15 @@ async function addCreditsHandler(ctx) {
       return ctx.reply('Invalid user ID or amount. Please use numbers only.');
     }
     
-    const newBalance = await userService.updateCredits(targetUserId, amount);
+    const newBalance = await userService.updateCredits(targetUserId, amount, {
+      type: 'admin',
+      description: `Adjusted by admin ${userId}`
+    });
+    
+    await auditService.logAction(getActor(ctx), 'credits.add', {
+      targetId: targetUserId,
+      description: `${amount > 0 ? '+' : ''}${amount} credits, new balance ${newBalance}`
+    });
     
     await ctx.reply(`Credits updated successfully. New balance for user ${targetUserId}: ${newBalance}`);
   } catch (error) {
@@ -181,18 +356,13 @@ async function addCreditsHandler(ctx) {
 }
 
 /**
- * Handle /reset command (admin only)
+ * Handle /reset command (admins only)
  * @param {Object} ctx - Telegram context
  */
 async function resetHandler(ctx) {
   try {
     const userId = ctx.from.id;
     
-    // Check if user is admin
-    if (userId != process.env.ADMIN_ID) {
-      return ctx.reply('You do not have permission to use this command.');
-    }
-    
     const args = ctx.message.text.split(' ');
     if (args.length !== 2) {
       return ctx.reply('Usage: /reset <user_id>');
@@ -207,6 +377,10 @@ async function resetHandler(ctx) {
     const success = await userService.resetUser(targetUserId);
     
     if (success) {
+      await auditService.logAction(getActor(ctx), 'user.reset', {
+        targetId: targetUserId,
+        description: 'Credits, referrals and usage reset'
+      });
       await ctx.reply(`User ${targetUserId} has been reset successfully.`);
     } else {
       await ctx.reply(`User ${targetUserId} not found.`);
@@ -221,8 +395,11 @@ module.exports = {
   startHandler,
   helpHandler,
   creditsHandler,
+  historyHandler,
   buyHandler,
+  planHandler,
   referHandler,
+  cancelHandler,
   statsHandler,
   addCreditsHandler,
   resetHandler
@@ -1,73 +1,232 @@
 const { Markup } = require('telegraf');
 const userService = require('../services/userService');
 const mediaService = require('../services/mediaService');
-const admin = require('firebase-admin');
-const db = admin.firestore();
-const conversionsRef = db.collection('conversions');
+const queueService = require('../services/queueService');
+const conversionService = require('../services/conversionService');
+const presetService = require('../services/presetService');
+const videoOptionsService = require('../services/videoOptionsService');
+const audioEffectsService = require('../services/audioEffectsService');
+const uploadService = require('../services/uploadService');
+const cacheService = require('../services/cacheService');
+const planService = require('../services/planService');
+const pricingService = require('../services/pricingService');
+const batchHandlers = require('./batchHandlers');
+const { SCALE_MODES } = require('../utils/scaling');
+const { formatMediaInfo } = require('../utils/mediaInfo');
+const { generateRandomString, formatTimestamp } = require('../utils/helpers');
+const { getMaxFileSizeMb } = require('../utils/botApi');
 
 /**
  * Check if file size is within limits
  * @param {number} fileSize - File size in bytes
+ * @param {number} [maxSizeMb] - Limit in MB (defaults to the configured maximum)
  * @returns {boolean} True if file is within limits
  */
-function isFileSizeValid(fileSize) {
-  const maxSizeBytes = parseInt(process.env.MAX_FILE_SIZE_MB) * 1024 * 1024;
+function isFileSizeValid(fileSize, maxSizeMb = getMaxFileSizeMb()) {
+  const maxSizeBytes = maxSizeMb * 1024 * 1024;
   return fileSize <= maxSizeBytes;
 }
 
+// Reply to buttons of uploads that were converted or have expired
+const UPLOAD_EXPIRED_MESSAGE = 'This file has expired or was already converted. Please send it again.';
+
+/**
+ * Build the format selection keyboard for a pending upload
+ * Every button carries the upload ID, so old keyboards keep converting their
+ * own file. Only formats of the user's plan are listed, each with its price
+ * for this file. Video keyboards also
+ * list the user's saved presets, the custom options wizard and the scaling
+ * toggles, audio keyboards the effects menu, and image keyboards size and
+ * quality toggles. The Trim button shows the trim range if one is set.
+ * @param {Object} upload - Pending upload (see uploadService)
+ * @returns {Promise<Object>} Telegraf inline keyboard markup
+ */
+async function getFormatKeyboard(upload) {
+  const id = upload.id;
+  const plan = await planService.getPlanForUser(upload.user_id);
+  const allFormats = mediaService.getAvailableFormats(upload.file_type);
+  const formats = allFormats.filter(format => planService.isFormatAllowed(plan, upload.file_type, format.value));
+  const buttons = formats.map(format => [
+    Markup.button.callback(
+      `${format.label} • ${pricingService.formatCredits(pricingService.getPrice(upload, format.value))}`,
+      `convert_${id}_${format.value}`
+    )
+  ]);
+  
+  if (upload.file_type === 'image') {
+    buttons.push([
+      Markup.button.callback(`📏 Size: ${mediaService.IMAGE_SIZES[upload.image_size].label}`, `imgsize_${id}`),
+      Markup.button.callback(`🎚 Quality: ${mediaService.IMAGE_QUALITIES[upload.image_quality].label}`, `imgquality_${id}`)
+    ]);
+    buttons.push([Markup.button.callback('ℹ️ Info', `info_${id}`)]);
+  } else {
+    const trim = upload.trim;
+    buttons.push([
+      Markup.button.callback('ℹ️ Info', `info_${id}`),
+      Markup.button.callback(trim ? `✂️ Trim: ${formatTimestamp(trim.start)}–${formatTimestamp(trim.end)}` : '✂️ Trim', `trim_${id}`)
+    ]);
+  }
+  
+  if (upload.file_type === 'audio') {
+    const effects = audioEffectsService.describeEffects(upload.audio_effects);
+    const label = effects.length > 40 ? `${effects.slice(0, 40)}…` : effects;
+    buttons.push([Markup.button.callback(effects ? `🎛 Effects: ${label}` : '🎛 Effects', `aeffects_${id}`)]);
+  }
+  
+  const customAllowed = planService.isFormatAllowed(plan, upload.file_type, 'custom');
+  if (upload.file_type === 'video' && customAllowed) {
+    const presets = await presetService.getUserPresets(upload.user_id);
+    presets.forEach(preset => {
+      const price = pricingService.getPrice(upload, 'custom', preset.options);
+      buttons.push([Markup.button.callback(
+        `⭐ ${preset.name} • ${pricingService.formatCredits(price)}`,
+        `preset_${id}_${preset.id}`
+      )]);
+    });
+    buttons.push([Markup.button.callback('⚙️ Custom settings', `vwizard_${id}`)]);
+  }
+  
+  if (upload.file_type === 'video') {
+    buttons.push([
+      Markup.button.callback(`📐 Scaling: ${SCALE_MODES[upload.scale_mode]}`, `scalemode_${id}`),
+      Markup.button.callback(`🔄 Auto-rotate: ${upload.auto_rotate ? 'On' : 'Off'}`, `autorotate_${id}`)
+    ]);
+  }
+  
+  if (formats.length < allFormats.length || (upload.file_type === 'video' && !customAllowed)) {
+    buttons.push([Markup.button.callback('🔒 More formats with a paid plan', 'plans')]);
+  }
+  
+  return Markup.inlineKeyboard(buttons);
+}
+
+/**
+ * Load the pending upload a keyboard button belongs to
+ * Answers the callback query with an expiry notice if the upload is gone.
+ * @param {Object} ctx - Telegram context
+ * @param {string} uploadId - Upload ID from the callback data
+ * @param {string} [fileType] - Required file type of the upload
+ * @returns {Promise<Object|null>} Upload record, or null if it is not available
+ */
+async function findUpload(ctx, uploadId, fileType = null) {
+  const upload = await uploadService.getUpload(ctx.from.id, uploadId);
+  if (!upload || (fileType && upload.file_type !== fileType)) {
+    await ctx.answerCbQuery(UPLOAD_EXPIRED_MESSAGE);
+    return null;
+  }
+  return upload;
+}
+
+/**
+ * Get the reply to a user who reached the daily limit of their plan
+ * @param {Object} plan - User's plan
+ * @returns {string} Message text, suggesting an upgrade if there is one
+ */
+function getDailyLimitMessage(plan) {
+  const upgrade = planService.findUpgrade(plan, () => true);
+  return `❌ You've reached the daily limit of ${plan.dailyLimit} conversions on the ${plan.label} plan.\n\n` +
+    (upgrade
+      ? `Please try again tomorrow, or use /plan to upgrade to ${upgrade.label} (${upgrade.dailyLimit} conversions per day).`
+      : 'Please try again tomorrow.');
+}
+
+/**
+ * Check credits, daily limit and file size of an upload, then show the format keyboard
+ * (or add the upload to a batch)
+ * Files without a duration from Telegram (e.g., documents) are probed on a
+ * local Bot API server, so their price can account for their length.
+ * @param {Object} ctx - Telegram context
+ * @param {string} fileType - Type of file (video, audio, image)
+ * @param {Object} file - Telegram file object (video, audio, voice, video_note, photo size or document)
+ * @param {string} defaultFileName - File name used when Telegram does not provide one
+ */
+async function acceptUpload(ctx, fileType, file, defaultFileName) {
+  const userId = ctx.from.id;
+  const user = await userService.getOrCreateUser(userId, { username: ctx.from.username || '' });
+  
+  // Check if user has credits for the cheapest possible conversion
+  if (user.credits < pricingService.getBasePrice()) {
+    return ctx.reply(
+      '❌ You don\'t have enough credits for conversion.\n\n' +
+      'Use /buy to purchase more credits or /refer to earn free credits.'
+    );
+  }
+  
+  // Check daily limit of the user's plan
+  const plan = planService.getUserPlan(user);
+  if (await userService.checkDailyLimit(userId)) {
+    return ctx.reply(getDailyLimitMessage(plan));
+  }
+  
+  // Check file size against the user's plan
+  const fileSize = file.file_size;
+  if (!isFileSizeValid(fileSize, planService.getMaxFileSizeMb(plan))) {
+    const upgrade = planService.findUpgrade(plan, candidate => isFileSizeValid(fileSize, planService.getMaxFileSizeMb(candidate)));
+    return ctx.reply(
+      `❌ File too large. Maximum file size on the ${plan.label} plan is ${planService.getMaxFileSizeMb(plan)}MB.\n\n` +
+      (upgrade
+        ? `Please upload a smaller file, or use /plan to upgrade to ${upgrade.label} (files up to ${planService.getMaxFileSizeMb(upgrade)}MB).`
+        : 'Please upload a smaller file.')
+    );
+  }
+  
+  const fileInfo = {
+    file_id: file.file_id,
+    file_unique_id: file.file_unique_id || null,
+    file_name: file.file_name || defaultFileName,
+    file_size: fileSize,
+    duration: file.duration || null,
+    width: file.width || null,
+    height: file.height || null
+  };
+  if (!fileInfo.duration && fileType !== 'image') {
+    fileInfo.duration = await mediaService.probeDuration(ctx.telegram, file.file_id);
+  }
+  
+  // Check credits against the cheapest format of the user's plan for this file
+  const prices = mediaService.getAvailableFormats(fileType)
+    .filter(format => planService.isFormatAllowed(plan, fileType, format.value))
+    .map(format => pricingService.getPrice({ ...fileInfo, file_type: fileType }, format.value));
+  const minPrice = Math.min(...prices);
+  if (user.credits < minPrice) {
+    return ctx.reply(
+      `❌ You don't have enough credits to convert this file. It costs at least ${pricingService.formatCredits(minPrice)} ` +
+      `and you have ${pricingService.formatCredits(user.credits)}.\n\n` +
+      'Use /buy to purchase more credits or /refer to earn free credits.'
+    );
+  }
+  
+  // Albums and files sent after /batch are converted together
+  if (batchHandlers.isBatchUpload(ctx)) {
+    return batchHandlers.addToBatch(ctx, fileType, fileInfo);
+  }
+  
+  // Store the file as a pending upload; its keyboard refers to it by ID
+  ctx.session = ctx.session || {};
+  const upload = await uploadService.createUpload(userId, {
+    ...fileInfo,
+    file_type: fileType,
+    trim: null,
+    video_options: null,
+    ...uploadService.getSessionSettings(ctx.session)
+  });
+  ctx.session.lastUploadId = upload.id;
+  
+  // Show available formats
+  const icons = { video: '🎬', audio: '🎵', image: '🖼' };
+  await ctx.reply(
+    `${icons[fileType]} Please select the conversion format:`,
+    await getFormatKeyboard(upload)
+  );
+}
+
 /**
  * Handle video file uploads
  * @param {Object} ctx - Telegram context
  */
 async function videoHandler(ctx) {
   try {
-    const userId = ctx.from.id;
-    const user = await userService.getOrCreateUser(userId);
-    
-    // Check if user has credits
-    if (user.credits < parseInt(process.env.CREDIT_PER_CONVERSION)) {
-      return ctx.reply(
-        '❌ You don\'t have enough credits for conversion.\n\n' +
-        'Use /buy to purchase more credits or /refer to earn free credits.'
-      );
-    }
-    
-    // Check daily limit
-    if (await userService.checkDailyLimit(userId)) {
-      return ctx.reply(
-        `❌ You've reached the daily limit of ${process.env.DAILY_LIMIT} conversions.\n\n` +
-        'Please try again tomorrow.'
-      );
-    }
-    
-    // Check file size
-    const fileSize = ctx.message.video.file_size;
-    if (!isFileSizeValid(fileSize)) {
-      return ctx.reply(
-        `❌ File too large. Maximum file size is ${process.env.MAX_FILE_SIZE_MB}MB.\n\n` +
-        'Please upload a smaller file or upgrade.'
-      );
-    }
-    
-    // Store file info in session
-    ctx.session = ctx.session || {};
-    ctx.session.fileInfo = {
-      fileId: ctx.message.video.file_id,
-      fileType: 'video',
-      fileName: ctx.message.video.file_name || `video_${Date.now()}.mp4`,
-      fileSize: fileSize
-    };
-    
-    // Show available formats
-    const formats = mediaService.getAvailableFormats('video');
-    const buttons = formats.map(format => [
-      Markup.button.callback(format.label, `convert_${format.value}`)
-    ]);
-    
-    await ctx.reply(
-      '🎬 Please select the conversion format:',
-      Markup.inlineKeyboard(buttons)
-    );
+    await acceptUpload(ctx, 'video', ctx.message.video, `video_${Date.now()}.mp4`);
   } catch (error) {
     console.error('Error in video handler:', error);
     await ctx.reply('An error occurred. Please try again later.');
@@ -80,59 +239,53 @@ async function videoHandler(ctx) {
  */
 async function audioHandler(ctx) {
   try {
-    const userId = ctx.from.id;
-    const user = await userService.getOrCreateUser(userId);
-    
-    // Check if user has credits
-    if (user.credits < parseInt(process.env.CREDIT_PER_CONVERSION)) {
-      return ctx.reply(
-        '❌ You don\'t have enough credits for conversion.\n\n' +
-        'Use /buy to purchase more credits or /refer to earn free credits.'
-      );
-    }
-    
-    // Check daily limit
-    if (await userService.checkDailyLimit(userId)) {
-      return ctx.reply(
-        `❌ You've reached the daily limit of ${process.env.DAILY_LIMIT} conversions.\n\n` +
-        'Please try again tomorrow.'
-      );
-    }
-    
-    // Check file size
-    const fileSize = ctx.message.audio.file_size;
-    if (!isFileSizeValid(fileSize)) {
-      return ctx.reply(
-        `❌ File too large. Maximum file size is ${process.env.MAX_FILE_SIZE_MB}MB.\n\n` +
-        'Please upload a smaller file or upgrade.'
-      );
-    }
-    
-    // Store file info in session
-    ctx.session = ctx.session || {};
-    ctx.session.fileInfo = {
-      fileId: ctx.message.audio.file_id,
-      fileType: 'audio',
-      fileName: ctx.message.audio.file_name || `audio_${Date.now()}.mp3`,
-      fileSize: fileSize
-    };
-    
-    // Show available formats
-    const formats = mediaService.getAvailableFormats('audio');
-    const buttons = formats.map(format => [
-      Markup.button.callback(format.label, `convert_${format.value}`)
-    ]);
-    
-    await ctx.reply(
-      '🎵 Please select the conversion format:',
-      Markup.inlineKeyboard(buttons)
-    );
+    await acceptUpload(ctx, 'audio', ctx.message.audio, `audio_${Date.now()}.mp3`);
   } catch (error) {
     console.error('Error in audio handler:', error);
     await ctx.reply('An error occurred. Please try again later.');
   }
 }
 
+/**
+ * Handle voice messages (converted like audio files)
+ * @param {Object} ctx - Telegram context
+ */
+async function voiceHandler(ctx) {
+  try {
+    await acceptUpload(ctx, 'audio', ctx.message.voice, `voice_${Date.now()}.ogg`);
+  } catch (error) {
+    console.error('Error in voice handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle video notes (round videos, converted like video files)
+ * @param {Object} ctx - Telegram context
+ */
+async function videoNoteHandler(ctx) {
+  try {
+    await acceptUpload(ctx, 'video', ctx.message.video_note, `video_note_${Date.now()}.mp4`);
+  } catch (error) {
+    console.error('Error in video note handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle photos (the largest size Telegram provides is converted)
+ * @param {Object} ctx - Telegram context
+ */
+async function photoHandler(ctx) {
+  try {
+    const photo = ctx.message.photo[ctx.message.photo.length - 1];
+    await acceptUpload(ctx, 'image', photo, `photo_${Date.now()}.jpg`);
+  } catch (error) {
+    console.error('Error in photo handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
 /**
  * Handle document file uploads (check if it's media)
  * @param {Object} ctx - Telegram context
@@ -145,107 +298,18 @@ async function documentHandler(ctx) {
     // Check if document is a media file
     if (mimeType.startsWith('video/')) {
       // Handle as video
-      const userId = ctx.from.id;
-      const user = await userService.getOrCreateUser(userId);
-      
-      // Check if user has credits
-      if (user.credits < parseInt(process.env.CREDIT_PER_CONVERSION)) {
-        return ctx.reply(
-          '❌ You don\'t have enough credits for conversion.\n\n' +
-          'Use /buy to purchase more credits or /refer to earn free credits.'
-        );
-      }
-      
-      // Check daily limit
-      if (await userService.checkDailyLimit(userId)) {
-        return ctx.reply(
-          `❌ You've reached the daily limit of ${process.env.DAILY_LIMIT} conversions.\n\n` +
-          'Please try again tomorrow.'
-        );
-      }
-      
-      // Check file size
-      const fileSize = document.file_size;
-      if (!isFileSizeValid(fileSize)) {
-        return ctx.reply(
-          `❌ File too large. Maximum file size is ${process.env.MAX_FILE_SIZE_MB}MB.\n\n` +
-          'Please upload a smaller file or upgrade.'
-        );
-      }
-      
-      // Store file info in session
-      ctx.session = ctx.session || {};
-      ctx.session.fileInfo = {
-        fileId: document.file_id,
-        fileType: 'video',
-        fileName: document.file_name || `video_${Date.now()}.mp4`,
-        fileSize: fileSize
-      };
-      
-      // Show available formats
-      const formats = mediaService.getAvailableFormats('video');
-      const buttons = formats.map(format => [
-        Markup.button.callback(format.label, `convert_${format.value}`)
-      ]);
-      
-      await ctx.reply(
-        '🎬 Please select the conversion format:',
-        Markup.inlineKeyboard(buttons)
-      );
+      await acceptUpload(ctx, 'video', document, `video_${Date.now()}.mp4`);
     } else if (mimeType.startsWith('audio/')) {
       // Handle as audio
-      const userId = ctx.from.id;
-      const user = await userService.getOrCreateUser(userId);
-      
-      // Check if user has credits
-      if (user.credits < parseInt(process.env.CREDIT_PER_CONVERSION)) {
-        return ctx.reply(
-          '❌ You don\'t have enough credits for conversion.\n\n' +
-          'Use /buy to purchase more credits or /refer to earn free credits.'
-        );
-      }
-      
-      // Check daily limit
-      if (await userService.checkDailyLimit(userId)) {
-        return ctx.reply(
-          `❌ You've reached the daily limit of ${process.env.DAILY_LIMIT} conversions.\n\n` +
-          'Please try again tomorrow.'
-        );
-      }
-      
-      // Check file size
-      const fileSize = document.file_size;
-      if (!isFileSizeValid(fileSize)) {
-        return ctx.reply(
-          `❌ File too large. Maximum file size is ${process.env.MAX_FILE_SIZE_MB}MB.\n\n` +
-          'Please upload a smaller file or upgrade.'
-        );
-      }
-      
-      // Store file info in session
-      ctx.session = ctx.session || {};
-      ctx.session.fileInfo = {
-        fileId: document.file_id,
-        fileType: 'audio',
-        fileName: document.file_name || `audio_${Date.now()}.mp3`,
-        fileSize: fileSize
-      };
-      
-      // Show available formats
-      const formats = mediaService.getAvailableFormats('audio');
-      const buttons = formats.map(format => [
-        Markup.button.callback(format.label, `convert_${format.value}`)
-      ]);
-      
-      await ctx.reply(
-        '🎵 Please select the conversion format:',
-        Markup.inlineKeyboard(buttons)
-      );
+      await acceptUpload(ctx, 'audio', document, `audio_${Date.now()}.mp3`);
+    } else if (mimeType.startsWith('image/')) {
+      // Handle as image
+      await acceptUpload(ctx, 'image', document, `image_${Date.now()}`);
     } else {
       // Not a supported media file
       await ctx.reply(
         '❌ Unsupported file type.\n\n' +
-        'Please upload a video or audio file.'
+        'Please upload a video, audio or image file.'
       );
     }
   } catch (error) {
@@ -254,95 +318,396 @@ async function documentHandler(ctx) {
   }
 }
 
+/**
+ * Send a cached conversion result instead of queueing a new conversion
+ * @param {Object} ctx - Telegram context
+ * @param {Object} upload - Claimed upload
+ * @param {Object} entry - Cache entry (see cacheService)
+ * @param {Object} conversion - Format, formatLabel, cacheKey and price of the conversion
+ * @returns {Promise<boolean>} True if the request was handled, false to convert the file normally
+ */
+async function serveFromCache(ctx, upload, entry, conversion) {
+  const userId = ctx.from.id;
+  const credits = cacheService.getCacheHitCredits(conversion.price);
+  const reservationId = credits > 0 ? generateRandomString(20) : null;
+  
+  if (reservationId) {
+    try {
+      await userService.reserveCredits(userId, credits, reservationId, `Conversion to ${conversion.formatLabel} (cached)`);
+    } catch (error) {
+      await uploadService.restoreUpload(upload);
+      if (error.message === 'Insufficient credits') {
+        await ctx.reply(
+          `❌ You don't have enough credits for this conversion (${pricingService.formatCredits(credits)}).\n\n` +
+          'Use /buy to purchase more credits or /refer to earn free credits.'
+        );
+        return true;
+      }
+      throw error;
+    }
+  }
+  
+  // False if the stored file could not be sent; it is converted again instead
+  return conversionService.deliverCachedResult(ctx.telegram, {
+    user_id: userId,
+    chat_id: ctx.chat.id,
+    reservation_id: reservationId,
+    file_id: upload.file_id,
+    file_size: upload.file_size,
+    format: conversion.format,
+    format_label: conversion.formatLabel,
+    cache_key: conversion.cacheKey
+  }, entry);
+}
+
+/**
+ * Reserve credits and queue a conversion of a pending upload
+ * The upload is removed once the job is queued, and put back if queueing fails.
+ * @param {Object} ctx - Telegram context
+ * @param {string} uploadId - Upload ID
+ * @param {string} format - Target format, or "custom" for custom video options
+ * @param {Object} [videoOptions] - Custom video options (defaults to the options chosen in the wizard)
+ */
+async function startConversion(ctx, uploadId, format, videoOptions = null) {
+  const userId = ctx.from.id;
+  
+  const upload = await uploadService.claimUpload(userId, uploadId);
+  if (!upload) {
+    return ctx.reply(`❌ ${UPLOAD_EXPIRED_MESSAGE}`);
+  }
+  
+  // Keyboards sent before a plan expired may still show paid formats
+  const plan = await planService.getPlanForUser(userId);
+  if (!planService.isFormatAllowed(plan, upload.file_type, format)) {
+    await uploadService.restoreUpload(upload);
+    return ctx.reply(`🔒 This format is not available on the ${plan.label} plan. Use /plan to upgrade.`);
+  }
+  
+  // The limit was checked when the file was sent, but other conversions may have been started since
+  if (await userService.checkDailyLimit(userId)) {
+    await uploadService.restoreUpload(upload);
+    return ctx.reply(getDailyLimitMessage(plan));
+  }
+  
+  if (format === 'custom') {
+    videoOptions = videoOptions || upload.video_options;
+    if (upload.file_type !== 'video' || !videoOptionsService.isValidOptions(videoOptions)) {
+      await uploadService.restoreUpload(upload);
+      return ctx.reply('❌ These settings are not available. Please choose the conversion format again.');
+    }
+  }
+  
+  let formatLabel = format === 'custom' ? videoOptionsService.describeOptions(videoOptions) : format;
+  if (upload.trim) {
+    formatLabel += ` (${formatTimestamp(upload.trim.start)}–${formatTimestamp(upload.trim.end)})`;
+  }
+  const audioEffects = upload.file_type === 'audio' && audioEffectsService.hasEffects(upload.audio_effects)
+    ? upload.audio_effects
+    : null;
+  if (audioEffects) {
+    formatLabel += ` + ${audioEffectsService.describeEffects(audioEffects)}`;
+  }
+  
+  // The same file converted with the same options is served from the cache
+  const cacheKey = cacheService.getCacheKey(upload.file_unique_id, {
+    ...upload,
+    format,
+    video_options: videoOptions,
+    audio_effects: audioEffects
+  });
+  const price = pricingService.getPrice(upload, format, videoOptions);
+  const cached = cacheKey ? await cacheService.getCachedResult(cacheKey) : null;
+  if (cached && await serveFromCache(ctx, upload, cached, { format, formatLabel, cacheKey, price })) {
+    return;
+  }
+  
+  // Reserve credits up front so parallel conversions cannot overdraw
+  const reservationId = generateRandomString(20);
+  try {
+    await userService.reserveCredits(
+      userId,
+      price,
+      reservationId,
+      `Conversion to ${formatLabel}`
+    );
+  } catch (error) {
+    await uploadService.restoreUpload(upload);
+    if (error.message === 'Insufficient credits') {
+      return ctx.reply(
+        `❌ You don't have enough credits for this conversion (${pricingService.formatCredits(price)}).\n\n` +
+        'Use /buy to purchase more credits or /refer to earn free credits.'
+      );
+    }
+    throw error;
+  }
+  
+  // Send status message, updated by the worker once the job starts
+  const statusMsg = await ctx.reply('⏳ Adding your file to the queue...');
+  
+  let job;
+  try {
+    job = await queueService.enqueue({
+      user_id: userId,
+      chat_id: ctx.chat.id,
+      status_message_id: statusMsg.message_id,
+      reservation_id: reservationId,
+      file_id: upload.file_id,
+      file_type: upload.file_type,
+      file_name: upload.file_name,
+      file_size: upload.file_size,
+      format: format,
+      format_label: formatLabel,
+      video_options: videoOptions,
+      scale_mode: upload.scale_mode,
+      auto_rotate: upload.auto_rotate,
+      trim: upload.trim,
+      image_size: upload.image_size,
+      image_quality: upload.image_quality,
+      audio_effects: audioEffects,
+      cache_key: cacheKey,
+      priority: plan.priority
+    });
+  } catch (error) {
+    await userService.refundCredits(reservationId);
+    await uploadService.restoreUpload(upload);
+    if (error.message === 'Queue limit reached') {
+      return ctx.telegram.editMessageText(
+        ctx.chat.id,
+        statusMsg.message_id,
+        undefined,
+        '❌ You have too many conversions in the queue. Please wait for them to finish.'
+      );
+    }
+    throw error;
+  }
+  
+  if (job.position > 0) {
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      statusMsg.message_id,
+      undefined,
+      `⏳ Your file is queued. You are #${job.position} in line.`,
+      conversionService.getCancelKeyboard(job.id)
+    ).catch(() => {});
+  }
+}
+
 /**
  * Handle conversion action (when user selects format)
  * @param {Object} ctx - Telegram context
  */
 async function convertHandler(ctx) {
   try {
-    const userId = ctx.from.id;
-    const user = await userService.getOrCreateUser(userId);
+    // Get selected upload and format
+    const [, uploadId, format] = ctx.match;
     
-    // Check if session exists
-    if (!ctx.session || !ctx.session.fileInfo) {
-      return ctx.reply(
-        '❌ Session expired. Please upload your file again.'
-      );
+    await ctx.answerCbQuery();
+    await startConversion(ctx, uploadId, format);
+  } catch (error) {
+    console.error('Error in convert handler:', error);
+    await ctx.reply('❌ Conversion failed. Please try again later.');
+  }
+}
+
+/**
+ * Get the file of a media message
+ * @param {Object} message - Telegram message
+ * @returns {Object|null} Telegram file object, or null if the message has no media
+ */
+function getMessageMedia(message) {
+  return message?.video || message?.audio || message?.document || message?.voice ||
+    message?.video_note || message?.animation || message?.photo?.[message.photo.length - 1] || null;
+}
+
+/**
+ * Download a file, probe it with ffprobe and reply with a summary (free of charge)
+ * @param {Object} ctx - Telegram context
+ * @param {string} fileId - Telegram file ID
+ * @param {number} fileSize - File size in bytes
+ */
+async function sendMediaInfo(ctx, fileId, fileSize) {
+  if (!isFileSizeValid(fileSize)) {
+    return ctx.reply(`❌ File too large. Maximum file size is ${getMaxFileSizeMb()}MB.`);
+  }
+  
+  const statusMsg = await ctx.reply('🔍 Reading media information...');
+  let filePath;
+  try {
+    filePath = await mediaService.downloadFile(ctx, fileId);
+    const metadata = await mediaService.probeFile(filePath);
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      statusMsg.message_id,
+      undefined,
+      formatMediaInfo(metadata).slice(0, 4000)
+    );
+  } catch (error) {
+    console.error('Error reading media info:', error);
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      statusMsg.message_id,
+      undefined,
+      '❌ Could not read media information from this file.'
+    ).catch(() => {});
+  } finally {
+    if (filePath) {
+      mediaService.cleanupTempFiles([filePath]);
     }
+  }
+}
+
+/**
+ * Handle /info command (reply to a media message, or the last uploaded file)
+ * @param {Object} ctx - Telegram context
+ */
+async function infoHandler(ctx) {
+  try {
+    const media = getMessageMedia(ctx.message.reply_to_message);
     
-    // Get selected format
-    const format = ctx.match[1];
-    const fileInfo = ctx.session.fileInfo;
+    if (media) {
+      return sendMediaInfo(ctx, media.file_id, media.file_size);
+    }
+    const upload = ctx.session?.lastUploadId
+      ? await uploadService.getUpload(ctx.from.id, ctx.session.lastUploadId)
+      : null;
+    if (upload?.file_id) {
+      return sendMediaInfo(ctx, upload.file_id, upload.file_size);
+    }
     
-    // Send processing message
-    const processingMsg = await ctx.reply('⏳ Processing your file...');
+    await ctx.reply('ℹ️ Reply to a video, audio or image message with /info to see its details.');
+  } catch (error) {
+    console.error('Error in info handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle info action (Info button on the format keyboard)
+ * @param {Object} ctx - Telegram context
+ */
+async function infoActionHandler(ctx) {
+  try {
+    const upload = await findUpload(ctx, ctx.match[1]);
+    if (!upload) {
+      return;
+    }
     
-    // Download file
-    const downloadedFilePath = await mediaService.downloadFile(ctx, fileInfo.fileId);
+    await ctx.answerCbQuery();
+    await sendMediaInfo(ctx, upload.file_id, upload.file_size);
+  } catch (error) {
+    console.error('Error in info action handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle scaling toggles on the format keyboard (scaling mode and auto-rotate)
+ * @param {Object} ctx - Telegram context
+ */
+async function scalingToggleHandler(ctx) {
+  try {
+    const [, setting, uploadId] = ctx.match;
+    const upload = await findUpload(ctx, uploadId, 'video');
+    if (!upload) {
+      return;
+    }
     
-    // Convert file
-    let convertedFilePath;
-    if (fileInfo.fileType === 'video') {
-      convertedFilePath = await mediaService.convertVideo(downloadedFilePath, format);
-    } else if (fileInfo.fileType === 'audio') {
-      convertedFilePath = await mediaService.convertAudio(downloadedFilePath, format);
+    // The choice is kept for this file and remembered for the next uploads
+    ctx.session = ctx.session || {};
+    if (setting === 'scalemode') {
+      const modes = Object.keys(SCALE_MODES);
+      const current = modes.indexOf(upload.scale_mode);
+      upload.scale_mode = ctx.session.scaleMode = modes[(current + 1) % modes.length];
+      await uploadService.updateUpload(upload.id, { scale_mode: upload.scale_mode });
     } else {
-      throw new Error('Unsupported file type');
+      upload.auto_rotate = ctx.session.autoRotate = !upload.auto_rotate;
+      await uploadService.updateUpload(upload.id, { auto_rotate: upload.auto_rotate });
     }
     
-    // Upload to storage channel
-    const caption = `Converted by user ${userId} | Format: ${format}`;
-    const message = await mediaService.uploadToStorageChannel(convertedFilePath, caption);
-    
-    // Deduct credits
-    await userService.updateCredits(userId, -parseInt(process.env.CREDIT_PER_CONVERSION));
-    
-    // Update usage count
-    await db.collection('users').doc(String(userId)).update({
-      usage_count: admin.firestore.FieldValue.increment(1)
-    });
+    await ctx.answerCbQuery();
+    const keyboard = await getFormatKeyboard(upload);
+    await ctx.editMessageReplyMarkup(keyboard.reply_markup);
+  } catch (error) {
+    console.error('Error in scaling toggle handler:', error);
+    await ctx.answerCbQuery('An error occurred. Please try again later.').catch(() => {});
+  }
+}
+
+/**
+ * Handle image toggles on the format keyboard (size and quality)
+ * @param {Object} ctx - Telegram context
+ */
+async function imageSettingsToggleHandler(ctx) {
+  try {
+    const [, setting, uploadId] = ctx.match;
+    const upload = await findUpload(ctx, uploadId, 'image');
+    if (!upload) {
+      return;
+    }
     
-    // Log conversion
-    await conversionsRef.add({
-      user_id: userId,
-      original_file_id: fileInfo.fileId,
-      converted_file_id: message.video?.file_id || message.audio?.file_id || message.document?.file_id,
-      format: format,
-      created_at: admin.firestore.FieldValue.serverTimestamp()
-    });
+    // Cycle to the next choice, kept for this file and remembered for the next uploads
+    const next = (choices, current) => {
+      const values = Object.keys(choices);
+      return values[(values.indexOf(current) + 1) % values.length];
+    };
+    ctx.session = ctx.session || {};
+    if (setting === 'imgsize') {
+      upload.image_size = ctx.session.imageSize = next(mediaService.IMAGE_SIZES, upload.image_size);
+      await uploadService.updateUpload(upload.id, { image_size: upload.image_size });
+    } else {
+      upload.image_quality = ctx.session.imageQuality = next(mediaService.IMAGE_QUALITIES, upload.image_quality);
+      await uploadService.updateUpload(upload.id, { image_quality: upload.image_quality });
+    }
     
-    // Delete processing message
-    await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id);
+    await ctx.answerCbQuery();
+    const keyboard = await getFormatKeyboard(upload);
+    await ctx.editMessageReplyMarkup(keyboard.reply_markup);
+  } catch (error) {
+    console.error('Error in image settings toggle handler:', error);
+    await ctx.answerCbQuery('An error occurred. Please try again later.').catch(() => {});
+  }
+}
+
+/**
+ * Handle cancel action (Cancel button on the processing message)
+ * @param {Object} ctx - Telegram context
+ */
+async function cancelJobHandler(ctx) {
+  try {
+    const jobId = ctx.match[1];
+    const job = queueService.getActiveJob(jobId);
     
-    // Send converted file to user
-    if (fileInfo.fileType === 'video' && format !== 'mp3') {
-      await ctx.replyWithVideo(message.video.file_id, {
-        caption: `✅ Converted to ${format}\n\nRemaining credits: ${await userService.updateCredits(userId, 0)}`
-      });
-    } else if (fileInfo.fileType === 'video' && format === 'mp3' || fileInfo.fileType === 'audio') {
-      await ctx.replyWithAudio(message.audio.file_id, {
-        caption: `✅ Converted to ${format}\n\nRemaining credits: ${await userService.updateCredits(userId, 0)}`
-      });
-    } else {
-      await ctx.replyWithDocument(message.document.file_id, {
-        caption: `✅ Converted to ${format}\n\nRemaining credits: ${await userService.updateCredits(userId, 0)}`
-      });
+    if (!job || job.user_id !== ctx.from.id) {
+      return ctx.answerCbQuery('This conversion is no longer running.');
     }
     
-    // Clean up temp files
-    mediaService.cleanupTempFiles([downloadedFilePath, convertedFilePath]);
+    const result = await queueService.cancelJob(jobId);
+    if (!result) {
+      return ctx.answerCbQuery('This conversion is no longer running.');
+    }
     
-    // Clear session
-    delete ctx.session.fileInfo;
+    await conversionService.finalizeCancelledJob(ctx.telegram, result);
+    await ctx.answerCbQuery('Conversion cancelled');
   } catch (error) {
-    console.error('Error in convert handler:', error);
-    await ctx.reply('❌ Conversion failed. Please try again later.');
+    console.error('Error in cancel job handler:', error);
+    await ctx.answerCbQuery('An error occurred. Please try again later.').catch(() => {});
   }
 }
 
 module.exports = {
+  getFormatKeyboard,
+  findUpload,
   videoHandler,
   audioHandler,
+  voiceHandler,
+  videoNoteHandler,
+  photoHandler,
   documentHandler,
-  convertHandler
+  startConversion,
+  convertHandler,
+  scalingToggleHandler,
+  imageSettingsToggleHandler,
+  infoHandler,
+  infoActionHandler,
+  cancelJobHandler
 };
\ No newline at end of file
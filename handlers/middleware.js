@@ -0,0 +1,71 @@
+const roleService = require('../services/roleService');
+const banService = require('../services/banService');
+const { formatDateTime } = require('../utils/helpers');
+
+/**
+ * Create a middleware that only lets staff with a permission through
+ * The user's role is stored in ctx.state.role for the following handlers.
+ * @param {string} permission - Required permission (see roleService)
+ * @returns {Function} Telegraf middleware
+ */
+function requirePermission(permission) {
+  return async (ctx, next) => {
+    try {
+      const role = await roleService.getRole(ctx.from.id);
+      
+      if (!roleService.hasPermission(role, permission)) {
+        return ctx.callbackQuery
+          ? ctx.answerCbQuery('You do not have permission to do this.')
+          : ctx.reply('You do not have permission to use this command.');
+      }
+      
+      ctx.state.role = role;
+    } catch (error) {
+      console.error('Error in permission middleware:', error);
+      return ctx.reply('An error occurred. Please try again later.');
+    }
+    
+    return next();
+  };
+}
+
+/**
+ * Stop updates from banned users before they reach any handler
+ * Payments that already went through are still let in, so they are credited.
+ * @param {Object} ctx - Telegram context
+ * @param {Function} next - Next middleware
+ */
+async function blockBanned(ctx, next) {
+  if (!ctx.from || ctx.message?.successful_payment) {
+    return next();
+  }
+  
+  let ban;
+  try {
+    ban = await banService.getActiveBan(ctx.from.id);
+  } catch (error) {
+    console.error('Error in ban middleware:', error);
+    return next();
+  }
+  
+  if (!ban) {
+    return next();
+  }
+  
+  const until = ban.expires_at ? `until ${formatDateTime(ban.expires_at)}` : 'permanently';
+  
+  if (ctx.callbackQuery) {
+    return ctx.answerCbQuery(`🚫 You are banned ${until}.`);
+  }
+  if (ctx.preCheckoutQuery) {
+    return ctx.answerPreCheckoutQuery(false, `You are banned ${until}.`);
+  }
+  if (ctx.message) {
+    return ctx.reply(`🚫 You are banned from using this bot ${until}.\n\nReason: ${ban.reason}`);
+  }
+}
+
+module.exports = {
+  requirePermission,
+  blockBanned
+};
@@ -0,0 +1,103 @@
+const paymentService = require('../services/paymentService');
+const planService = require('../services/planService');
+
+/**
+ * Handle package selection (send invoice for the chosen package)
+ * @param {Object} ctx - Telegram context
+ */
+async function buyPackageHandler(ctx) {
+  try {
+    const pkg = paymentService.getPackage(ctx.match[1]);
+    
+    if (!pkg) {
+      return ctx.answerCbQuery('This package is no longer available.');
+    }
+    
+    await ctx.answerCbQuery();
+    await ctx.replyWithInvoice(paymentService.buildInvoice(pkg, ctx.from.id));
+  } catch (error) {
+    console.error('Error in buy package handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle plan selection (send invoice for the chosen plan)
+ * @param {Object} ctx - Telegram context
+ */
+async function buyPlanHandler(ctx) {
+  try {
+    const plan = planService.getPlan(ctx.match[1]);
+    
+    if (!plan || plan.price <= 0) {
+      return ctx.answerCbQuery('This plan is no longer available.');
+    }
+    
+    await ctx.answerCbQuery();
+    await ctx.replyWithInvoice(paymentService.buildPlanInvoice(plan, ctx.from.id));
+  } catch (error) {
+    console.error('Error in buy plan handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle pre-checkout query (confirm the invoice is still valid)
+ * @param {Object} ctx - Telegram context
+ */
+async function preCheckoutHandler(ctx) {
+  try {
+    const errorMessage = paymentService.validatePreCheckout(ctx.preCheckoutQuery);
+    
+    if (errorMessage) {
+      return ctx.answerPreCheckoutQuery(false, errorMessage);
+    }
+    
+    await ctx.answerPreCheckoutQuery(true);
+  } catch (error) {
+    console.error('Error in pre-checkout handler:', error);
+    await ctx.answerPreCheckoutQuery(false, 'An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle successful payment (credit the purchased package or activate the plan)
+ * @param {Object} ctx - Telegram context
+ */
+async function successfulPaymentHandler(ctx) {
+  try {
+    const userId = ctx.from.id;
+    const result = await paymentService.processSuccessfulPayment(userId, ctx.message.successful_payment);
+    
+    if (result.duplicate) {
+      return;
+    }
+    
+    if (result.type === 'plan') {
+      return ctx.reply(
+        `✅ Payment received!\n\n` +
+        `Your ${result.plan.label} plan is active until ${result.expiresAt.toISOString().slice(0, 10)}.\n` +
+        `Use /plan to see your limits.`
+      );
+    }
+    
+    await ctx.reply(
+      `✅ Payment received!\n\n` +
+      `${result.credits} credits have been added to your account.\n` +
+      `New balance: ${result.balance} credits.`
+    );
+  } catch (error) {
+    console.error('Error in successful payment handler:', error);
+    await ctx.reply(
+      '❌ Your payment was received but we could not apply it to your account. ' +
+      'Please contact support with your payment receipt.'
+    );
+  }
+}
+
+module.exports = {
+  buyPackageHandler,
+  buyPlanHandler,
+  preCheckoutHandler,
+  successfulPaymentHandler
+};
@@ -0,0 +1,119 @@
+const uploadService = require('../services/uploadService');
+const { getFormatKeyboard, findUpload } = require('./mediaHandlers');
+const { parseTimestamp, formatTimestamp } = require('../utils/helpers');
+
+/**
+ * Parse a trim range sent by the user
+ * Accepts "start-end" (e.g., "0:45-1:30", "0:45 to 1:30") or
+ * "start +duration" (e.g., "0:45 +45").
+ * @param {string} text - Message text
+ * @returns {Object|null} Trim range with start and end in seconds, or null if invalid
+ */
+function parseTrimRange(text) {
+  const range = text.trim().match(/^([\d:.]+)\s*(?:-|–|—|to)\s*([\d:.]+)$/i);
+  if (range) {
+    const start = parseTimestamp(range[1]);
+    const end = parseTimestamp(range[2]);
+    return start !== null && end !== null ? { start, end } : null;
+  }
+  
+  const withDuration = text.trim().match(/^([\d:.]+)\s*\+\s*([\d:.]+)$/);
+  if (withDuration) {
+    const start = parseTimestamp(withDuration[1]);
+    const duration = parseTimestamp(withDuration[2]);
+    return start !== null && duration !== null ? { start, end: start + duration } : null;
+  }
+  
+  return null;
+}
+
+/**
+ * Handle trim action (ask for the start and end timestamps)
+ * @param {Object} ctx - Telegram context
+ */
+async function trimStartHandler(ctx) {
+  try {
+    const upload = await findUpload(ctx, ctx.match[1]);
+    if (!upload) {
+      return;
+    }
+    
+    // Remember which file the next text message trims
+    ctx.session = ctx.session || {};
+    ctx.session.awaitingTrim = upload.id;
+    delete ctx.session.awaitingPresetName;
+    
+    await ctx.answerCbQuery();
+    await ctx.reply(
+      '✂️ Send the part to keep as start-end or start +duration, for example:\n\n' +
+      '0:45-1:30\n' +
+      '0:45 +45\n\n' +
+      (upload.duration ? `The file is ${formatTimestamp(upload.duration)} long. ` : '') +
+      'Send "full" to convert the whole file.'
+    );
+  } catch (error) {
+    console.error('Error in trim start handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle text messages while a trim range is expected
+ * @param {Object} ctx - Telegram context
+ * @param {Function} next - Next middleware
+ */
+async function trimTextHandler(ctx, next) {
+  if (!ctx.session?.awaitingTrim || ctx.message.text.startsWith('/')) {
+    return next();
+  }
+  
+  try {
+    const uploadId = ctx.session.awaitingTrim;
+    delete ctx.session.awaitingTrim;
+    
+    const upload = await uploadService.getUpload(ctx.from.id, uploadId);
+    if (!upload) {
+      return ctx.reply('❌ This file has expired or was already converted. Please send it again.');
+    }
+    
+    if (ctx.message.text.trim().toLowerCase() === 'full') {
+      upload.trim = null;
+    } else {
+      const trim = parseTrimRange(ctx.message.text);
+      
+      if (!trim || trim.end <= trim.start) {
+        ctx.session.awaitingTrim = uploadId;
+        return ctx.reply('❌ I couldn\'t read that range. Please send it like 0:45-1:30 or 0:45 +45.');
+      }
+      
+      // Durations reported by Telegram are whole seconds; the exact check is done after probing
+      if (upload.duration && trim.start >= upload.duration) {
+        ctx.session.awaitingTrim = uploadId;
+        return ctx.reply(`❌ The start is past the end of the file (${formatTimestamp(upload.duration)}). Please send another range.`);
+      }
+      if (upload.duration && trim.end > upload.duration + 1) {
+        ctx.session.awaitingTrim = uploadId;
+        return ctx.reply(`❌ The end is past the end of the file (${formatTimestamp(upload.duration)}). Please send another range.`);
+      }
+      
+      upload.trim = trim;
+    }
+    await uploadService.updateUpload(upload.id, { trim: upload.trim });
+    
+    const message = upload.trim
+      ? `✂️ Keeping ${formatTimestamp(upload.trim.start)}–${formatTimestamp(upload.trim.end)}.`
+      : '✂️ Converting the whole file.';
+    await ctx.reply(
+      `${message}\n\nPlease select the conversion format:`,
+      await getFormatKeyboard(upload)
+    );
+  } catch (error) {
+    console.error('Error in trim text handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+module.exports = {
+  trimStartHandler,
+  trimTextHandler
+};
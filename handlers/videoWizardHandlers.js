@@ -0,0 +1,254 @@
+const { Markup } = require('telegraf');
+const presetService = require('../services/presetService');
+const videoOptionsService = require('../services/videoOptionsService');
+const uploadService = require('../services/uploadService');
+const pricingService = require('../services/pricingService');
+const { startConversion, findUpload } = require('./mediaHandlers');
+
+const STEP_TITLES = {
+  container: '📦 Choose the container:',
+  codec: '🎞 Choose the video codec:',
+  quality: '🎚 Choose the quality:',
+  fps: '⏱ Choose the frame rate:',
+  audio: '🔊 Choose the audio bitrate:'
+};
+
+/**
+ * Show the current wizard step (or the summary once all steps are answered)
+ * @param {Object} ctx - Telegram context
+ * @param {Object} upload - Pending video upload holding the options chosen so far
+ */
+async function showWizardStep(ctx, upload) {
+  const options = upload.video_options;
+  const step = videoOptionsService.getNextStep(options);
+  const summary = videoOptionsService.describeOptions(options);
+  
+  if (!step) {
+    const price = pricingService.getPrice(upload, 'custom', options);
+    return ctx.editMessageText(
+      `⚙️ Custom video settings\n\n${summary}\n\nConvert your video with these settings?`,
+      Markup.inlineKeyboard([
+        [Markup.button.callback(`✅ Convert • ${pricingService.formatCredits(price)}`, `convert_${upload.id}_custom`)],
+        [Markup.button.callback('💾 Save as preset', `vsave_${upload.id}`)],
+        [Markup.button.callback('↩️ Start over', `vwizard_${upload.id}`)]
+      ])
+    );
+  }
+  
+  const choices = videoOptionsService.getChoices(step, options);
+  const buttons = [];
+  for (let i = 0; i < choices.length; i += 2) {
+    buttons.push(choices.slice(i, i + 2).map(choice => (
+      Markup.button.callback(choice.label, `vopt_${upload.id}_${step}_${choice.value}`)
+    )));
+  }
+  
+  await ctx.editMessageText(
+    `⚙️ Custom video settings${summary ? `\n\n${summary}` : ''}\n\n${STEP_TITLES[step]}`,
+    Markup.inlineKeyboard(buttons)
+  );
+}
+
+/**
+ * Handle custom settings action (start the video options wizard)
+ * @param {Object} ctx - Telegram context
+ */
+async function wizardStartHandler(ctx) {
+  try {
+    const upload = await findUpload(ctx, ctx.match[1], 'video');
+    if (!upload) {
+      return;
+    }
+    
+    upload.video_options = {};
+    await uploadService.updateUpload(upload.id, { video_options: upload.video_options });
+    await ctx.answerCbQuery();
+    await showWizardStep(ctx, upload);
+  } catch (error) {
+    console.error('Error in wizard start handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle wizard option action (one answer of the video options wizard)
+ * @param {Object} ctx - Telegram context
+ */
+async function wizardOptionHandler(ctx) {
+  try {
+    const [, uploadId, step, value] = ctx.match;
+    const upload = await findUpload(ctx, uploadId, 'video');
+    if (!upload) {
+      return;
+    }
+    
+    // Ignore taps on old keyboards for a step that is not being asked
+    const options = upload.video_options;
+    const validChoice = options && videoOptionsService.getChoices(step, options).some(choice => choice.value === value);
+    if (!validChoice || step !== videoOptionsService.getNextStep(options)) {
+      return ctx.answerCbQuery('This option is no longer available.');
+    }
+    
+    options[step] = value;
+    await uploadService.updateUpload(upload.id, { video_options: options });
+    await ctx.answerCbQuery();
+    await showWizardStep(ctx, upload);
+  } catch (error) {
+    console.error('Error in wizard option handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle save preset action (ask for a preset name)
+ * @param {Object} ctx - Telegram context
+ */
+async function savePresetHandler(ctx) {
+  try {
+    const upload = await findUpload(ctx, ctx.match[1], 'video');
+    if (!upload) {
+      return;
+    }
+    if (!videoOptionsService.isValidOptions(upload.video_options)) {
+      return ctx.answerCbQuery('These settings are incomplete. Please choose them again.');
+    }
+    
+    // Remember which file's settings the next text message names
+    ctx.session = ctx.session || {};
+    ctx.session.awaitingPresetName = upload.id;
+    delete ctx.session.awaitingTrim;
+    await ctx.answerCbQuery();
+    await ctx.reply(
+      `💾 Send me a name for this preset (up to ${presetService.MAX_PRESET_NAME_LENGTH} characters).\n\n` +
+      'Saving under an existing name replaces that preset.'
+    );
+  } catch (error) {
+    console.error('Error in save preset handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle text messages while a preset name is expected
+ * @param {Object} ctx - Telegram context
+ * @param {Function} next - Next middleware
+ */
+async function presetNameHandler(ctx, next) {
+  if (!ctx.session?.awaitingPresetName || ctx.message.text.startsWith('/')) {
+    return next();
+  }
+  
+  const userId = ctx.from.id;
+  const uploadId = ctx.session.awaitingPresetName;
+  
+  try {
+    delete ctx.session.awaitingPresetName;
+    
+    const upload = await uploadService.getUpload(userId, uploadId);
+    if (!upload || !videoOptionsService.isValidOptions(upload.video_options)) {
+      return ctx.reply('❌ This file has expired or was already converted. Please send it again.');
+    }
+    
+    await presetService.savePreset(userId, ctx.message.text, upload.video_options);
+    
+    await ctx.reply(
+      `💾 Preset "${ctx.message.text.trim()}" saved.\n\n` +
+      'It will appear next to the formats whenever you send a video.',
+      Markup.inlineKeyboard([
+        [Markup.button.callback('✅ Convert now', `convert_${upload.id}_custom`)]
+      ])
+    );
+  } catch (error) {
+    if (error.message === 'Invalid preset name') {
+      ctx.session.awaitingPresetName = uploadId;
+      return ctx.reply(`❌ Please send a name of 1 to ${presetService.MAX_PRESET_NAME_LENGTH} characters.`);
+    }
+    if (error.message === 'Preset limit reached') {
+      return ctx.reply(
+        `❌ You can save up to ${presetService.MAX_PRESETS_PER_USER} presets. ` +
+        'Delete one with /presets first.'
+      );
+    }
+    console.error('Error in preset name handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle preset action (convert with a saved preset)
+ * @param {Object} ctx - Telegram context
+ */
+async function presetHandler(ctx) {
+  try {
+    const preset = await presetService.getPreset(ctx.from.id, ctx.match[2]);
+    
+    if (!preset) {
+      return ctx.answerCbQuery('This preset no longer exists.');
+    }
+    
+    await ctx.answerCbQuery();
+    await startConversion(ctx, ctx.match[1], 'custom', preset.options);
+  } catch (error) {
+    console.error('Error in preset handler:', error);
+    await ctx.reply('❌ Conversion failed. Please try again later.');
+  }
+}
+
+/**
+ * Handle /presets command (list and delete saved presets)
+ * @param {Object} ctx - Telegram context
+ */
+async function presetsHandler(ctx) {
+  try {
+    const presets = await presetService.getUserPresets(ctx.from.id);
+    
+    if (presets.length === 0) {
+      return ctx.reply(
+        '⭐ You have no saved presets.\n\n' +
+        'Send a video and choose "⚙️ Custom settings" to create one.'
+      );
+    }
+    
+    const lines = presets.map(preset => `⭐ ${preset.name}: ${videoOptionsService.describeOptions(preset.options)}`);
+    const buttons = presets.map(preset => [
+      Markup.button.callback(`🗑 Delete "${preset.name}"`, `delpreset_${preset.id}`)
+    ]);
+    
+    await ctx.reply(
+      `⭐ Your Presets\n\n${lines.join('\n')}`,
+      Markup.inlineKeyboard(buttons)
+    );
+  } catch (error) {
+    console.error('Error in presets handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+/**
+ * Handle delete preset action
+ * @param {Object} ctx - Telegram context
+ */
+async function deletePresetHandler(ctx) {
+  try {
+    const deleted = await presetService.deletePreset(ctx.from.id, ctx.match[1]);
+    
+    await ctx.answerCbQuery(deleted ? 'Preset deleted' : 'This preset no longer exists.');
+    if (deleted) {
+      await ctx.deleteMessage().catch(() => {});
+      await presetsHandler(ctx);
+    }
+  } catch (error) {
+    console.error('Error in delete preset handler:', error);
+    await ctx.reply('An error occurred. Please try again later.');
+  }
+}
+
+module.exports = {
+  wizardStartHandler,
+  wizardOptionHandler,
+  savePresetHandler,
+  presetNameHandler,
+  presetHandler,
+  presetsHandler,
+  deletePresetHandler
+};
@@ -1,21 +1,19 @@
 require('dotenv').config();
 const { Telegraf, Scenes, session } = require('telegraf');
 const { message } = require('telegraf/filters');
-const admin = require('firebase-admin');
 const schedule = require('node-schedule');
 const fs = require('fs');
 const path = require('path');
 
-// Initialize Firebase
-const serviceAccount = JSON.parse(process.env.FIREBASE_KEY);
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  databaseURL: process.env.FIREBASE_URL
-});
-const db = admin.firestore();
+// Initialize storage backend (Firestore or local JSON file, see STORAGE_BACKEND)
+const repositories = require('./repositories');
+const { runMigrations } = require('./repositories/migrations');
+console.log(`Using ${repositories.backend} storage backend`);
 
-// Initialize bot
-const bot = new Telegraf(process.env.BOT_TOKEN);
+// Initialize bot (against a local Bot API server if BOT_API_ROOT is set)
+const { getTelegrafOptions, isLocalBotApi, getMaxFileSizeMb } = require('./utils/botApi');
+console.log(`Using ${isLocalBotApi() ? 'local' : 'cloud'} Bot API, files up to ${getMaxFileSizeMb()}MB`);
+const bot = new Telegraf(process.env.BOT_TOKEN, getTelegrafOptions());
 
 // Create temp directory for file processing
 const tempDir = path.join(__dirname, 'temp');
@@ -26,31 +24,87 @@ if (!fs.existsSync(tempDir)) {
 // Import modules
 const userService = require('./services/userService');
 const mediaService = require('./services/mediaService');
+const queueService = require('./services/queueService');
+const uploadService = require('./services/uploadService');
+const conversionService = require('./services/conversionService');
 const commandHandlers = require('./handlers/commandHandlers');
 const mediaHandlers = require('./handlers/mediaHandlers');
+const paymentHandlers = require('./handlers/paymentHandlers');
+const videoWizardHandlers = require('./handlers/videoWizardHandlers');
+const trimHandlers = require('./handlers/trimHandlers');
+const audioEffectsHandlers = require('./handlers/audioEffectsHandlers');
+const batchHandlers = require('./handlers/batchHandlers');
+const adminHandlers = require('./handlers/adminHandlers');
+const { requirePermission, blockBanned } = require('./handlers/middleware');
 
 // Middleware
 bot.use(session());
+bot.use(blockBanned);
 
 // Command handlers
 bot.command('start', commandHandlers.startHandler);
 bot.command('help', commandHandlers.helpHandler);
 bot.command('credits', commandHandlers.creditsHandler);
+bot.command('history', commandHandlers.historyHandler);
 bot.command('buy', commandHandlers.buyHandler);
+bot.command('plan', commandHandlers.planHandler);
 bot.command('refer', commandHandlers.referHandler);
+bot.command('cancel', commandHandlers.cancelHandler);
+bot.command('presets', videoWizardHandlers.presetsHandler);
+bot.command('info', mediaHandlers.infoHandler);
+bot.command('batch', batchHandlers.batchHandler);
+bot.command('done', batchHandlers.doneHandler);
 
-// Admin commands
-bot.command('stats', commandHandlers.statsHandler);
-bot.command('addcredits', commandHandlers.addCreditsHandler);
-bot.command('reset', commandHandlers.resetHandler);
+// Admin commands (see roleService for the roles holding each permission)
+bot.command('stats', requirePermission('stats.view'), commandHandlers.statsHandler);
+bot.command('addcredits', requirePermission('credits.manage'), commandHandlers.addCreditsHandler);
+bot.command('reset', requirePermission('users.reset'), commandHandlers.resetHandler);
+bot.command('user', requirePermission('users.view'), adminHandlers.userHandler);
+bot.command('ban', requirePermission('users.ban'), adminHandlers.banHandler);
+bot.command('unban', requirePermission('users.ban'), adminHandlers.unbanHandler);
+bot.command('broadcast', requirePermission('broadcast.send'), adminHandlers.broadcastHandler);
+bot.command('auditlog', requirePermission('audit.view'), adminHandlers.auditLogHandler);
+bot.command('staff', requirePermission('roles.view'), adminHandlers.staffHandler);
+bot.command('grant', requirePermission('roles.manage'), adminHandlers.grantHandler);
+bot.command('revoke', requirePermission('roles.manage'), adminHandlers.revokeHandler);
 
 // Media handlers
 bot.on(message('video'), mediaHandlers.videoHandler);
 bot.on(message('audio'), mediaHandlers.audioHandler);
+bot.on(message('voice'), mediaHandlers.voiceHandler);
+bot.on(message('video_note'), mediaHandlers.videoNoteHandler);
+bot.on(message('photo'), mediaHandlers.photoHandler);
 bot.on(message('document'), mediaHandlers.documentHandler);
+bot.on(message('text'), videoWizardHandlers.presetNameHandler);
+bot.on(message('text'), trimHandlers.trimTextHandler);
 
 // Action handlers for inline buttons
-bot.action(/convert_(.+)/, mediaHandlers.convertHandler);
+bot.action(/^bformat_([A-Za-z0-9]+)_(.+)$/, batchHandlers.batchConvertHandler);
+bot.action(/^bzip_([A-Za-z0-9]+)$/, batchHandlers.zipToggleHandler);
+bot.action(/^bcancel_([A-Za-z0-9]+)$/, batchHandlers.cancelBatchHandler);
+bot.action(/^convert_([A-Za-z0-9]+)_(.+)$/, mediaHandlers.convertHandler);
+bot.action(/^cancel_(.+)$/, mediaHandlers.cancelJobHandler);
+bot.action(/^(scalemode|autorotate)_([A-Za-z0-9]+)$/, mediaHandlers.scalingToggleHandler);
+bot.action(/^(imgsize|imgquality)_([A-Za-z0-9]+)$/, mediaHandlers.imageSettingsToggleHandler);
+bot.action(/^info_([A-Za-z0-9]+)$/, mediaHandlers.infoActionHandler);
+bot.action(/^trim_([A-Za-z0-9]+)$/, trimHandlers.trimStartHandler);
+bot.action(/^aeffects_([A-Za-z0-9]+)$/, audioEffectsHandlers.effectsMenuHandler);
+bot.action(/^afx_([A-Za-z0-9]+)_([a-z]+)$/, audioEffectsHandlers.effectToggleHandler);
+bot.action(/^aeffects_reset_([A-Za-z0-9]+)$/, audioEffectsHandlers.effectsResetHandler);
+bot.action(/^aeffects_done_([A-Za-z0-9]+)$/, audioEffectsHandlers.effectsDoneHandler);
+bot.action(/^buy_(.+)$/, paymentHandlers.buyPackageHandler);
+bot.action(/^plan_([a-z]+)$/, paymentHandlers.buyPlanHandler);
+bot.action('plans', commandHandlers.planHandler);
+bot.action(/^vwizard_([A-Za-z0-9]+)$/, videoWizardHandlers.wizardStartHandler);
+bot.action(/^vopt_([A-Za-z0-9]+)_([a-z]+)_(.+)$/, videoWizardHandlers.wizardOptionHandler);
+bot.action(/^vsave_([A-Za-z0-9]+)$/, videoWizardHandlers.savePresetHandler);
+bot.action(/^preset_([A-Za-z0-9]+)_(.+)$/, videoWizardHandlers.presetHandler);
+bot.action(/^delpreset_(.+)$/, videoWizardHandlers.deletePresetHandler);
+bot.action(/^broadcast_(send|cancel)_(.+)$/, requirePermission('broadcast.send'), adminHandlers.broadcastConfirmHandler);
+
+// Payment handlers
+bot.on('pre_checkout_query', paymentHandlers.preCheckoutHandler);
+bot.on(message('successful_payment'), paymentHandlers.successfulPaymentHandler);
 
 // Schedule cleanup job to delete old files from storage channel
 schedule.scheduleJob('0 * * * *', async () => {
@@ -59,6 +113,10 @@ schedule.scheduleJob('0 * * * *', async () => {
     // Logic to delete files older than FILE_DELETE_AFTER_HOURS from storage channel
     // Will be implemented in mediaService
     await mediaService.cleanupOldFiles();
+    
+    // Format keyboards of expired uploads stop working
+    const expiredUploads = await uploadService.cleanupExpiredUploads();
+    console.log(`Deleted ${expiredUploads} expired upload(s)`);
   } catch (error) {
     console.error('Error in cleanup job:', error);
   }
@@ -70,11 +128,38 @@ bot.catch((err, ctx) => {
   ctx.reply('An error occurred while processing your request. Please try again later.');
 });
 
-// Start bot
-bot.launch().then(() => {
-  console.log('Bot started successfully!');
+/**
+ * Start conversion workers and the bot
+ */
+function start() {
+  // Start conversion workers, resuming jobs left over from a previous run
+  queueService.start((job, signal) => (job.batch
+    ? conversionService.processBatchJob(bot.telegram, job, signal)
+    : conversionService.processConversionJob(bot.telegram, job, signal)))
+    .then(restoredJobs => {
+      console.log(`Conversion queue started (${restoredJobs} job(s) restored)`);
+    })
+    .catch(err => {
+      console.error('Failed to start conversion queue:', err);
+    });
+  
+  // Start bot
+  bot.launch().then(() => {
+    console.log('Bot started successfully!');
+  }).catch(err => {
+    console.error('Failed to start bot:', err);
+  });
+}
+
+// Bring stored data up to date before anything reads it
+runMigrations().then(applied => {
+  if (applied.length > 0) {
+    console.log(`Applied migrations: ${applied.join(', ')}`);
+  }
+  start();
 }).catch(err => {
-  console.error('Failed to start bot:', err);
+  console.error('Failed to run migrations:', err);
+  process.exit(1);
 });
 
 // Enable graceful stop
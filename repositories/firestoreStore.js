@@ -0,0 +1,121 @@
+const admin = require('firebase-admin');
+
+/**
+ * Convert a Firestore document snapshot to a plain record
+ * Timestamps are converted to Date so both backends return the same types.
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object|null} Record with id and data fields, or null if missing
+ */
+function toRecord(doc) {
+  if (!doc.exists) {
+    return null;
+  }
+  
+  const record = { id: doc.id };
+  for (const [key, value] of Object.entries(doc.data())) {
+    record[key] = value instanceof admin.firestore.Timestamp ? value.toDate() : value;
+  }
+  return record;
+}
+
+/**
+ * Create the Firestore storage backend
+ * @returns {Object} Store with collection(), runTransaction() and increment()
+ */
+function createFirestoreStore() {
+  if (!process.env.FIREBASE_KEY) {
+    throw new Error('FIREBASE_KEY is required when STORAGE_BACKEND is firestore');
+  }
+  
+  const serviceAccount = JSON.parse(process.env.FIREBASE_KEY);
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    databaseURL: process.env.FIREBASE_URL
+  });
+  const db = admin.firestore();
+  
+  /**
+   * Build a Firestore query from repository query options
+   * @param {Object} ref - Firestore collection reference
+   * @param {Object} options - Query options (where, orderBy, limit)
+   * @returns {Object} Firestore query
+   */
+  function buildQuery(ref, options = {}) {
+    let query = ref;
+    for (const [field, op, value] of options.where || []) {
+      query = query.where(field, op, value);
+    }
+    if (options.orderBy) {
+      query = query.orderBy(options.orderBy[0], options.orderBy[1] || 'asc');
+    }
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+    return query;
+  }
+  
+  /**
+   * Get a repository for a collection
+   * @param {string} name - Collection name
+   * @returns {Object} Repository
+   */
+  function collection(name) {
+    const ref = db.collection(name);
+    
+    return {
+      name,
+      newId: () => ref.doc().id,
+      get: async (id) => toRecord(await ref.doc(id).get()),
+      create: async (data) => (await ref.add(data)).id,
+      set: async (id, data) => {
+        await ref.doc(id).set(data);
+      },
+      update: async (id, patch) => {
+        await ref.doc(id).update(patch);
+      },
+      delete: async (id) => {
+        await ref.doc(id).delete();
+      },
+      find: async (options) => (await buildQuery(ref, options).get()).docs.map(toRecord),
+      count: async (where = []) => {
+        const snapshot = await buildQuery(ref, { where }).count().get();
+        return snapshot.data().count;
+      }
+    };
+  }
+  
+  /**
+   * Run a function in a transaction
+   * @param {Function} fn - Async function called with a transaction object
+   * @returns {Promise<*>} Value returned by fn
+   */
+  function runTransaction(fn) {
+    return db.runTransaction(async (transaction) => fn({
+      get: async (repo, id) => toRecord(await transaction.get(db.collection(repo.name).doc(id))),
+      set: (repo, id, data) => {
+        transaction.set(db.collection(repo.name).doc(id), data);
+      },
+      create: (repo, data) => {
+        const ref = db.collection(repo.name).doc();
+        transaction.set(ref, data);
+        return ref.id;
+      },
+      update: (repo, id, patch) => {
+        transaction.update(db.collection(repo.name).doc(id), patch);
+      },
+      delete: (repo, id) => {
+        transaction.delete(db.collection(repo.name).doc(id));
+      }
+    }));
+  }
+  
+  return {
+    collection,
+    runTransaction,
+    increment: (amount) => admin.firestore.FieldValue.increment(amount)
+  };
+}
+
+module.exports = {
+  createFirestoreStore
+};
@@ -0,0 +1,43 @@
+const path = require('path');
+const { createFirestoreStore } = require('./firestoreStore');
+const { createJsonStore } = require('./jsonStore');
+
+/**
+ * Repository layer shared by all services
+ * The backend is chosen with STORAGE_BACKEND: "firestore" (default) or
+ * "json" for a local JSON data file at DATA_FILE.
+ * Every repository exposes the same async methods on both backends:
+ * get, create, set, update, delete, find and count.
+ */
+
+const backend = (process.env.STORAGE_BACKEND || 'firestore').toLowerCase();
+
+let store;
+if (backend === 'firestore') {
+  store = createFirestoreStore();
+} else if (backend === 'json') {
+  store = createJsonStore(process.env.DATA_FILE || path.join(__dirname, '..', 'data', 'db.json'));
+} else {
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
+
+module.exports = {
+  backend,
+  runTransaction: store.runTransaction,
+  increment: store.increment,
+  auditLog: store.collection('audit_log'),
+  bans: store.collection('bans'),
+  broadcasts: store.collection('broadcasts'),
+  users: store.collection('users'),
+  conversions: store.collection('conversions'),
+  conversionCache: store.collection('conversion_cache'),
+  creditTransactions: store.collection('credit_transactions'),
+  jobs: store.collection('jobs'),
+  migrations: store.collection('migrations'),
+  payments: store.collection('payments'),
+  presets: store.collection('presets'),
+  roles: store.collection('roles'),
+  stats: store.collection('stats'),
+  storageFiles: store.collection('storage_files'),
+  uploads: store.collection('uploads')
+};
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Delay before pending changes are written to disk
+const SAVE_DELAY_MS = 200;
+
+// Transactions retried when a document they read was changed concurrently
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * Marker for an atomic increment in update()
+ */
+class Increment {
+  constructor(amount) {
+    this.amount = amount;
+  }
+}
+
+/**
+ * Convert a value to something comparable (Dates become timestamps)
+ * @param {*} value - Field value
+ * @returns {*} Comparable value
+ */
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * Check whether a record matches a single where clause
+ * @param {Object} record - Record data
+ * @param {Array} clause - [field, op, value]
+ * @returns {boolean} True if the record matches
+ */
+function matches(record, [field, op, value]) {
+  const actual = comparable(record[field]);
+  const expected = comparable(value);
+  
+  switch (op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+    case '<': return actual !== undefined && actual !== null && actual < expected;
+    case '<=': return actual !== undefined && actual !== null && actual <= expected;
+    case '>': return actual !== undefined && actual !== null && actual > expected;
+    case '>=': return actual !== undefined && actual !== null && actual >= expected;
+    case 'in': return value.map(comparable).includes(actual);
+    default: throw new Error(`Unsupported operator: ${op}`);
+  }
+}
+
+/**
+ * Apply an update patch to record data, resolving increments
+ * @param {Object} data - Current record data
+ * @param {Object} patch - Fields to update
+ * @returns {Object} Updated record data
+ */
+function applyPatch(data, patch) {
+  const updated = { ...data };
+  for (const [key, value] of Object.entries(patch)) {
+    updated[key] = value instanceof Increment ? (updated[key] || 0) + value.amount : value;
+  }
+  return updated;
+}
+
+/**
+ * Create the JSON-file storage backend for self-hosting without Firestore
+ * All data is kept in memory and written to a single JSON file.
+ * @param {string} filePath - Path to the data file
+ * @returns {Object} Store with collection(), runTransaction() and increment()
+ */
+function createJsonStore(filePath) {
+  let data = {};
+  if (fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'), (key, value) => (
+      typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+    ));
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+  
+  // Version of each document, used to detect conflicting transactions
+  const versions = new Map();
+  let saveTimer = null;
+  
+  /**
+   * Write all data to disk immediately
+   */
+  function saveNow() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+  }
+  
+  /**
+   * Schedule a write of all data to disk
+   */
+  function scheduleSave() {
+    if (!saveTimer) {
+      saveTimer = setTimeout(() => {
+        try {
+          saveNow();
+        } catch (error) {
+          console.error('Error saving data file:', error);
+        }
+      }, SAVE_DELAY_MS);
+    }
+  }
+  
+  process.on('exit', () => {
+    if (saveTimer) {
+      saveNow();
+    }
+  });
+  
+  /**
+   * Get the documents of a collection, creating it if needed
+   * @param {string} name - Collection name
+   * @returns {Object} Documents keyed by ID
+   */
+  function getDocs(name) {
+    if (!data[name]) {
+      data[name] = {};
+    }
+    return data[name];
+  }
+  
+  /**
+   * Write a document and bump its version
+   * @param {string} name - Collection name
+   * @param {string} id - Document ID
+   * @param {Object|null} value - Document data, or null to delete
+   */
+  function write(name, id, value) {
+    const docs = getDocs(name);
+    if (value === null) {
+      delete docs[id];
+    } else {
+      docs[id] = value;
+    }
+    const key = `${name}/${id}`;
+    versions.set(key, (versions.get(key) || 0) + 1);
+    scheduleSave();
+  }
+  
+  /**
+   * Read a document as a detached record
+   * @param {string} name - Collection name
+   * @param {string} id - Document ID
+   * @returns {Object|null} Record or null if missing
+   */
+  function read(name, id) {
+    const doc = getDocs(name)[id];
+    return doc ? { id, ...structuredClone(doc) } : null;
+  }
+  
+  /**
+   * Update an existing document
+   * @param {string} name - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} patch - Fields to update
+   */
+  function updateDoc(name, id, patch) {
+    const doc = getDocs(name)[id];
+    if (!doc) {
+      throw new Error(`Document not found: ${name}/${id}`);
+    }
+    write(name, id, applyPatch(doc, patch));
+  }
+  
+  /**
+   * Get a repository for a collection
+   * @param {string} name - Collection name
+   * @returns {Object} Repository
+   */
+  function collection(name) {
+    /**
+     * Find records matching query options
+     * @param {Object} options - Query options (where, orderBy, limit)
+     * @returns {Object[]} Matching records
+     */
+    function query(options = {}) {
+      let records = Object.entries(getDocs(name))
+        .filter(([, doc]) => (options.where || []).every(clause => matches(doc, clause)))
+        .map(([id]) => read(name, id));
+      
+      if (options.orderBy) {
+        const [field, direction] = options.orderBy;
+        const sign = direction === 'desc' ? -1 : 1;
+        records.sort((a, b) => {
+          const left = comparable(a[field]);
+          const right = comparable(b[field]);
+          if (left === right) return 0;
+          return left > right ? sign : -sign;
+        });
+      }
+      if (options.limit) {
+        records = records.slice(0, options.limit);
+      }
+      return records;
+    }
+    
+    return {
+      name,
+      newId: () => crypto.randomUUID(),
+      get: async (id) => read(name, id),
+      create: async (value) => {
+        const id = crypto.randomUUID();
+        write(name, id, structuredClone(value));
+        return id;
+      },
+      set: async (id, value) => {
+        write(name, id, structuredClone(value));
+      },
+      update: async (id, patch) => {
+        updateDoc(name, id, patch);
+      },
+      delete: async (id) => {
+        write(name, id, null);
+      },
+      find: async (options) => query(options),
+      count: async (where = []) => query({ where }).length
+    };
+  }
+  
+  /**
+   * Run a function in a transaction
+   * Reads see committed data; writes are buffered and applied together at the
+   * end. If a document that was read changed in the meantime, the transaction
+   * is retried, like Firestore does.
+   * @param {Function} fn - Async function called with a transaction object
+   * @returns {Promise<*>} Value returned by fn
+   */
+  async function runTransaction(fn) {
+    for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+      const readVersions = new Map();
+      const writes = [];
+      
+      const result = await fn({
+        get: async (repo, id) => {
+          const key = `${repo.name}/${id}`;
+          readVersions.set(key, versions.get(key) || 0);
+          return read(repo.name, id);
+        },
+        set: (repo, id, value) => {
+          writes.push(() => write(repo.name, id, structuredClone(value)));
+        },
+        create: (repo, value) => {
+          const id = crypto.randomUUID();
+          writes.push(() => write(repo.name, id, structuredClone(value)));
+          return id;
+        },
+        update: (repo, id, patch) => {
+          writes.push(() => updateDoc(repo.name, id, patch));
+        },
+        delete: (repo, id) => {
+          writes.push(() => write(repo.name, id, null));
+        }
+      });
+      
+      const conflict = [...readVersions].some(([key, version]) => (versions.get(key) || 0) !== version);
+      if (!conflict) {
+        writes.forEach(apply => apply());
+        return result;
+      }
+    }
+    
+    throw new Error('Transaction failed after too many conflicts');
+  }
+  
+  return {
+    collection,
+    runTransaction,
+    increment: (amount) => new Increment(amount)
+  };
+}
+
+module.exports = {
+  createJsonStore
+};
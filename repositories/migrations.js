@@ -0,0 +1,128 @@
+const {
+  migrations: migrationsRepo,
+  conversions: conversionsRepo,
+  conversionCache: cacheRepo,
+  storageFiles: storageFilesRepo
+} = require('./index');
+
+/**
+ * Data migrations
+ * Migrations run at startup, before the bot handles any update. Each one runs
+ * once; applied migrations are recorded in the migrations collection, keyed
+ * by name. A migration interrupted by a restart runs again from the start,
+ * so every step must be safe to repeat.
+ */
+
+// Records read per query, so migrations never load a whole collection
+const PAGE_SIZE = 200;
+
+/**
+ * Move storage channel uploads from conversions to storage_files
+ * Both used to be written to conversions; uploads are the records with
+ * expires_at. They keep their IDs, and each remaining conversion is marked
+ * completed and linked to the upload of its converted file.
+ * Collections are read a page at a time: moved uploads leave conversions,
+ * so the first page is read until it is empty, and conversions are walked
+ * in order of created_at.
+ * @returns {Promise<void>}
+ */
+async function splitStorageFiles() {
+  let moved = 0;
+  
+  for (;;) {
+    // A range query, so records without expires_at never match on either backend
+    const uploads = await conversionsRepo.find({
+      where: [['expires_at', '>', new Date(0)]],
+      limit: PAGE_SIZE
+    });
+    if (uploads.length === 0) {
+      break;
+    }
+    
+    for (const { id, ...storageFile } of uploads) {
+      await storageFilesRepo.set(id, storageFile);
+      await conversionsRepo.delete(id);
+      moved++;
+      
+      if (storageFile.cache_key) {
+        const entry = await cacheRepo.get(storageFile.cache_key);
+        if (entry && entry.file_id === storageFile.file_id) {
+          await cacheRepo.update(storageFile.cache_key, { storage_file_id: id });
+        }
+      }
+    }
+  }
+  
+  // Conversions sharing the created_at of the previous page's last record are
+  // read again, so the IDs already seen at that time are skipped
+  let cursor = new Date(0);
+  let seenAtCursor = new Set();
+  
+  for (;;) {
+    const page = await conversionsRepo.find({
+      where: [['created_at', '>=', cursor]],
+      orderBy: ['created_at', 'asc'],
+      limit: PAGE_SIZE
+    });
+    const conversions = page.filter(conversion => !seenAtCursor.has(conversion.id));
+    if (conversions.length === 0) {
+      break;
+    }
+    
+    for (const conversion of conversions.filter(record => !record.status)) {
+      // Includes uploads moved by an earlier, interrupted run
+      const [storageFile] = conversion.converted_file_id
+        ? await storageFilesRepo.find({ where: [['file_id', '==', conversion.converted_file_id]], limit: 1 })
+        : [];
+      await conversionsRepo.update(conversion.id, {
+        status: 'completed',
+        storage_file_id: storageFile ? storageFile.id : null,
+        cached: false,
+        duration_ms: null,
+        input_size: null,
+        output_size: null,
+        error: null
+      });
+    }
+    
+    const last = page[page.length - 1].created_at;
+    if (last.getTime() !== cursor.getTime()) {
+      cursor = last;
+      seenAtCursor = new Set();
+    }
+    conversions
+      .filter(conversion => conversion.created_at.getTime() === cursor.getTime())
+      .forEach(conversion => seenAtCursor.add(conversion.id));
+  }
+  
+  console.log(`Moved ${moved} storage file(s) out of conversions`);
+}
+
+// Migrations in the order they run; names must never change
+const MIGRATIONS = [
+  { name: 'split_storage_files', run: splitStorageFiles }
+];
+
+/**
+ * Run the migrations that were not applied yet
+ * @returns {Promise<string[]>} Names of the migrations applied now
+ */
+async function runMigrations() {
+  const applied = [];
+  
+  for (const migration of MIGRATIONS) {
+    if (await migrationsRepo.get(migration.name)) {
+      continue;
+    }
+    
+    await migration.run();
+    await migrationsRepo.set(migration.name, { applied_at: new Date() });
+    applied.push(migration.name);
+  }
+  
+  return applied;
+}
+
+module.exports = {
+  runMigrations
+};
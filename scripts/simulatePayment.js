@@ -0,0 +1,117 @@
+/**
+ * Local stand-in for Telegram payments
+ * Runs the real payment handlers against synthetic updates: the buy button,
+ * the pre-checkout query for the resulting invoice and the successful
+ * payment, which is then delivered a second time to show that it is only
+ * credited once. Bot API calls are printed instead of being sent, and data
+ * goes to a throwaway JSON data file, never to Firestore.
+ *
+ * Usage: node scripts/simulatePayment.js [package id] [user id]
+ */
+
+require('dotenv').config();
+const os = require('os');
+const path = require('path');
+
+// Must be set before the repository layer is loaded
+process.env.STORAGE_BACKEND = 'json';
+process.env.DATA_FILE = path.join(os.tmpdir(), `payment-stand-in-${process.pid}.json`);
+
+const { Telegraf, Telegram } = require('telegraf');
+const { message } = require('telegraf/filters');
+const paymentService = require('../services/paymentService');
+const userService = require('../services/userService');
+const paymentHandlers = require('../handlers/paymentHandlers');
+
+const USER = { id: parseInt(process.argv[3]) || 1000, is_bot: false, first_name: 'Stand-in' };
+
+/**
+ * Create a bot with the payment handlers whose Bot API calls are recorded
+ * Telegraf creates a Telegram instance per update, so calls are intercepted
+ * on the prototype.
+ * @param {Object[]} calls - Receives { method, payload } for every call
+ * @returns {Object} Telegraf bot
+ */
+function createBot(calls) {
+  const bot = new Telegraf('0:stand-in');
+  bot.botInfo = { id: 1, is_bot: true, first_name: 'Stand-in bot', username: 'stand_in_bot' };
+  Telegram.prototype.callApi = async (method, payload) => {
+    calls.push({ method, payload });
+    console.log(`→ ${method}`, JSON.stringify(payload));
+    return method === 'sendMessage' || method === 'sendInvoice'
+      ? { message_id: calls.length, date: Math.floor(Date.now() / 1000), chat: { id: USER.id, type: 'private' } }
+      : true;
+  };
+  
+  bot.action(/^buy_(.+)$/, paymentHandlers.buyPackageHandler);
+  bot.on('pre_checkout_query', paymentHandlers.preCheckoutHandler);
+  bot.on(message('successful_payment'), paymentHandlers.successfulPaymentHandler);
+  return bot;
+}
+
+/**
+ * Run the purchase of one package
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const pkg = paymentService.getPackage(process.argv[2]) || paymentService.getPackages()[0];
+  if (!pkg) {
+    throw new Error('No credit packages configured');
+  }
+  
+  const calls = [];
+  const bot = createBot(calls);
+  const chat = { id: USER.id, type: 'private' };
+  await userService.getOrCreateUser(USER.id);
+  
+  console.log(`\n1. User ${USER.id} taps the button for package ${pkg.id}`);
+  await bot.handleUpdate({
+    update_id: 1,
+    callback_query: { id: 'cb1', from: USER, chat_instance: '1', data: `buy_${pkg.id}`, message: { message_id: 1, date: 0, chat } }
+  });
+  const invoice = calls.find(call => call.method === 'sendInvoice');
+  if (!invoice) {
+    throw new Error('No invoice was sent');
+  }
+  
+  console.log('\n2. Telegram asks the bot to confirm the checkout');
+  await bot.handleUpdate({
+    update_id: 2,
+    pre_checkout_query: {
+      id: 'pcq1',
+      from: USER,
+      currency: invoice.payload.currency,
+      total_amount: invoice.payload.prices.reduce((sum, price) => sum + price.amount, 0),
+      invoice_payload: invoice.payload.payload
+    }
+  });
+  const answer = calls.find(call => call.method === 'answerPreCheckoutQuery');
+  if (!answer.payload.ok) {
+    throw new Error(`Checkout rejected: ${answer.payload.error_message}`);
+  }
+  
+  const payment = {
+    currency: invoice.payload.currency,
+    total_amount: invoice.payload.prices.reduce((sum, price) => sum + price.amount, 0),
+    invoice_payload: invoice.payload.payload,
+    telegram_payment_charge_id: `stand-in-${Date.now()}`,
+    provider_payment_charge_id: ''
+  };
+  for (const updateId of [3, 4]) {
+    console.log(updateId === 3 ? '\n3. The payment succeeds' : '\n4. The same payment update is delivered again');
+    await bot.handleUpdate({
+      update_id: updateId,
+      message: { message_id: updateId, date: Math.floor(Date.now() / 1000), chat, from: USER, successful_payment: payment }
+    });
+  }
+  
+  const user = await userService.getOrCreateUser(USER.id);
+  console.log(`\nBalance of user ${USER.id}: ${user.credits} credits (data file: ${process.env.DATA_FILE})`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Payment stand-in failed:', error);
+    process.exit(1);
+  });
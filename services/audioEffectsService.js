@@ -0,0 +1,191 @@
+/**
+ * Audio effects offered in the audio format menu and their mapping to ffmpeg
+ * filters. Effects are stored as an object of effect name to chosen value;
+ * effects left at their first choice are not applied.
+ */
+
+const AUDIO_EFFECTS = {
+  normalize: {
+    label: '📊 Normalize',
+    choices: [
+      { value: 'off', label: 'Off' },
+      { value: 'on', label: 'EBU R128' }
+    ]
+  },
+  tempo: {
+    label: '⏩ Speed',
+    choices: [
+      { value: '1', label: '1x' },
+      { value: '1.25', label: '1.25x' },
+      { value: '1.5', label: '1.5x' },
+      { value: '2', label: '2x' },
+      { value: '0.75', label: '0.75x' }
+    ]
+  },
+  pitch: {
+    label: '🎼 Pitch',
+    choices: [
+      { value: '0', label: 'Original' },
+      { value: '2', label: '+2 semitones' },
+      { value: '4', label: '+4 semitones' },
+      { value: '-4', label: '-4 semitones' },
+      { value: '-2', label: '-2 semitones' }
+    ]
+  },
+  fade: {
+    label: '🌅 Fade in/out',
+    choices: [
+      { value: '0', label: 'Off' },
+      { value: '2', label: '2 s' },
+      { value: '5', label: '5 s' }
+    ]
+  },
+  channels: {
+    label: '🔈 Channels',
+    choices: [
+      { value: 'source', label: 'Original' },
+      { value: '1', label: 'Mono' },
+      { value: '2', label: 'Stereo' }
+    ]
+  },
+  samplerate: {
+    label: '📶 Sample rate',
+    choices: [
+      { value: 'source', label: 'Original' },
+      { value: '22050', label: '22.05 kHz' },
+      { value: '44100', label: '44.1 kHz' },
+      { value: '48000', label: '48 kHz' }
+    ]
+  }
+};
+
+// Loudness targets for EBU R128 normalization (podcast levels)
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+/**
+ * Get the chosen value of an effect
+ * @param {Object} effects - Chosen effects
+ * @param {string} name - Effect name
+ * @returns {string} Chosen value, or the default (first) value
+ */
+function getEffectValue(effects, name) {
+  const choices = AUDIO_EFFECTS[name].choices;
+  const value = effects?.[name];
+  return choices.some(choice => choice.value === value) ? value : choices[0].value;
+}
+
+/**
+ * Get the effects menu entries with their current values
+ * @param {Object} effects - Chosen effects
+ * @returns {Object[]} Array of objects with name, label and valueLabel
+ */
+function getEffectEntries(effects) {
+  return Object.entries(AUDIO_EFFECTS).map(([name, effect]) => {
+    const value = getEffectValue(effects, name);
+    return {
+      name,
+      label: effect.label,
+      valueLabel: effect.choices.find(choice => choice.value === value).label
+    };
+  });
+}
+
+/**
+ * Switch an effect to its next value
+ * @param {Object} effects - Chosen effects
+ * @param {string} name - Effect name
+ * @returns {Object} Updated effects
+ */
+function cycleEffect(effects, name) {
+  if (!AUDIO_EFFECTS[name]) {
+    throw new Error('Unknown audio effect');
+  }
+  
+  const choices = AUDIO_EFFECTS[name].choices;
+  const index = choices.findIndex(choice => choice.value === getEffectValue(effects, name));
+  const updated = { ...effects, [name]: choices[(index + 1) % choices.length].value };
+  if (index + 1 === choices.length) {
+    delete updated[name];
+  }
+  return updated;
+}
+
+/**
+ * Check whether any effect is applied
+ * @param {Object} effects - Chosen effects
+ * @returns {boolean} True if at least one effect differs from its default
+ */
+function hasEffects(effects) {
+  return Object.keys(AUDIO_EFFECTS).some(name => getEffectValue(effects, name) !== AUDIO_EFFECTS[name].choices[0].value);
+}
+
+/**
+ * Describe the applied effects in a short human-readable form
+ * @param {Object} effects - Chosen effects
+ * @returns {string} Description (e.g., "Normalize • Speed 1.25x • Mono"), empty if none
+ */
+function describeEffects(effects) {
+  const parts = [];
+  if (getEffectValue(effects, 'normalize') === 'on') parts.push('Normalize');
+  if (getEffectValue(effects, 'tempo') !== '1') parts.push(`Speed ${effects.tempo}x`);
+  if (getEffectValue(effects, 'pitch') !== '0') parts.push(`Pitch ${effects.pitch > 0 ? '+' : ''}${effects.pitch}`);
+  if (getEffectValue(effects, 'fade') !== '0') parts.push(`Fade ${effects.fade}s`);
+  if (getEffectValue(effects, 'channels') !== 'source') parts.push(effects.channels === '1' ? 'Mono' : 'Stereo');
+  if (getEffectValue(effects, 'samplerate') !== 'source') parts.push(`${effects.samplerate / 1000} kHz`);
+  return parts.join(' • ');
+}
+
+/**
+ * Map effects to ffmpeg settings
+ * @param {Object} effects - Chosen effects
+ * @param {Object} source - Source audio properties
+ * @param {number} source.sampleRate - Sample rate of the source in Hz
+ * @param {number|null} source.duration - Length of the (trimmed) source in seconds
+ * @returns {Object} Settings with filters (array of ffmpeg audio filters), channels and sampleRate (null to keep the source)
+ */
+function getFilterSettings(effects, source) {
+  const filters = [];
+  const tempo = parseFloat(getEffectValue(effects, 'tempo'));
+  const semitones = parseInt(getEffectValue(effects, 'pitch'));
+  const fade = parseInt(getEffectValue(effects, 'fade'));
+  const channels = getEffectValue(effects, 'channels');
+  const sampleRate = getEffectValue(effects, 'samplerate');
+  
+  if (semitones !== 0) {
+    // Resample to shift the pitch, then restore the original speed
+    const factor = Math.pow(2, semitones / 12);
+    filters.push(
+      `asetrate=${Math.round(source.sampleRate * factor)}`,
+      `aresample=${source.sampleRate}`,
+      `atempo=${(1 / factor).toFixed(6)}`
+    );
+  }
+  if (tempo !== 1) {
+    filters.push(`atempo=${tempo}`);
+  }
+  if (fade > 0) {
+    filters.push(`afade=t=in:d=${fade}`);
+    const duration = source.duration ? source.duration / tempo : null;
+    if (duration && duration > fade * 2) {
+      filters.push(`afade=t=out:st=${(duration - fade).toFixed(3)}:d=${fade}`);
+    }
+  }
+  if (getEffectValue(effects, 'normalize') === 'on') {
+    // loudnorm upsamples to 192 kHz, so resample back afterwards
+    filters.push(LOUDNORM_FILTER, `aresample=${sampleRate === 'source' ? source.sampleRate : sampleRate}`);
+  }
+  
+  return {
+    filters,
+    channels: channels === 'source' ? null : parseInt(channels),
+    sampleRate: sampleRate === 'source' ? null : parseInt(sampleRate)
+  };
+}
+
+module.exports = {
+  getEffectEntries,
+  cycleEffect,
+  hasEffects,
+  describeEffects,
+  getFilterSettings
+};
@@ -0,0 +1,43 @@
+const { auditLog: auditRepo } = require('../repositories');
+
+/**
+ * Record an admin action in the audit log
+ * @param {Object} actor - Staff member performing the action
+ * @param {number} actor.id - Telegram user ID
+ * @param {string} actor.role - Role at the time of the action
+ * @param {string} action - Action name (e.g., credits.add, user.reset, role.grant)
+ * @param {Object} [details] - Action details
+ * @param {number} [details.targetId] - Telegram user ID the action applies to
+ * @param {string} [details.description] - Human-readable description
+ * @returns {Promise<void>}
+ */
+async function logAction(actor, action, details = {}) {
+  await auditRepo.create({
+    actor_id: actor.id,
+    actor_role: actor.role,
+    action,
+    target_id: details.targetId || null,
+    description: details.description || '',
+    created_at: new Date()
+  });
+}
+
+/**
+ * Get the most recent audit log entries
+ * @param {Object} [filters] - Optional filters
+ * @param {number} [filters.targetId] - Only entries about this user
+ * @param {number} [limit] - Maximum number of entries
+ * @returns {Promise<Object[]>} Entries, newest first
+ */
+async function getEntries(filters = {}, limit = 20) {
+  return auditRepo.find({
+    where: filters.targetId ? [['target_id', '==', filters.targetId]] : [],
+    orderBy: ['created_at', 'desc'],
+    limit
+  });
+}
+
+module.exports = {
+  logAction,
+  getEntries
+};
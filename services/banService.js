@@ -0,0 +1,98 @@
+const { bans: bansRepo } = require('../repositories');
+
+/**
+ * User bans
+ * Bans are stored in the bans collection, keyed by user ID, so users can be
+ * banned before they ever talk to the bot. Every update is checked against
+ * the bans, so lookups are cached in memory for a short time; banning and
+ * unbanning through this service updates the cache right away.
+ */
+
+// How long a ban lookup is reused before reading the database again
+const BAN_CACHE_TTL_MS = 60 * 1000;
+
+// Cached lookups, keyed by user ID: { ban, expiresAt }
+const banCache = new Map();
+
+/**
+ * Check whether a ban is in effect
+ * @param {Object|null} ban - Ban record
+ * @returns {boolean} True if the ban exists and has not expired
+ */
+function isActive(ban) {
+  return Boolean(ban) && (!ban.expires_at || ban.expires_at > new Date());
+}
+
+/**
+ * Get the ban in effect for a user
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<Object|null>} Ban with reason and expires_at (null for permanent bans), or null if not banned
+ */
+async function getActiveBan(userId) {
+  const key = String(userId);
+  const cached = banCache.get(key);
+  
+  let ban;
+  if (cached && cached.expiresAt > Date.now()) {
+    ban = cached.ban;
+  } else {
+    ban = await bansRepo.get(key);
+    banCache.set(key, { ban, expiresAt: Date.now() + BAN_CACHE_TTL_MS });
+  }
+  
+  return isActive(ban) ? ban : null;
+}
+
+/**
+ * Ban a user, replacing any existing ban
+ * @param {number} userId - Telegram user ID
+ * @param {Object} details - Ban details
+ * @param {string} details.reason - Reason shown to the user
+ * @param {number|null} details.durationSeconds - Ban duration, or null for a permanent ban
+ * @param {number} details.bannedBy - Telegram user ID of the staff member
+ * @returns {Promise<Object>} Ban record
+ */
+async function banUser(userId, { reason, durationSeconds, bannedBy }) {
+  const ban = {
+    user_id: userId,
+    reason,
+    banned_by: bannedBy,
+    banned_at: new Date(),
+    expires_at: durationSeconds ? new Date(Date.now() + durationSeconds * 1000) : null
+  };
+  
+  await bansRepo.set(String(userId), ban);
+  banCache.set(String(userId), { ban, expiresAt: Date.now() + BAN_CACHE_TTL_MS });
+  return ban;
+}
+
+/**
+ * Lift the ban of a user
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<boolean>} True if the user was banned
+ */
+async function unbanUser(userId) {
+  const ban = await bansRepo.get(String(userId));
+  if (ban) {
+    await bansRepo.delete(String(userId));
+  }
+  
+  banCache.set(String(userId), { ban: null, expiresAt: Date.now() + BAN_CACHE_TTL_MS });
+  return isActive(ban);
+}
+
+/**
+ * Get the IDs of all users with a ban in effect
+ * @returns {Promise<Set<number>>} Banned user IDs
+ */
+async function getBannedUserIds() {
+  const bans = await bansRepo.find();
+  return new Set(bans.filter(isActive).map(ban => ban.user_id));
+}
+
+module.exports = {
+  getActiveBan,
+  getBannedUserIds,
+  banUser,
+  unbanUser
+};
@@ -0,0 +1,193 @@
+const { runTransaction, users: usersRepo, broadcasts: broadcastsRepo } = require('../repositories');
+const planService = require('./planService');
+const banService = require('./banService');
+
+/**
+ * Broadcasts to bot users
+ * A broadcast copies one message (text or media) to every user of an
+ * audience. Messages are sent one at a time at BROADCAST_RATE_PER_SECOND,
+ * below Telegram's limit of about 30 messages per second; when Telegram
+ * still answers 429, the send is retried after the requested delay. Users
+ * for whom Telegram answers 403 (bot blocked, account deleted) are marked
+ * with blocked_bot and skipped by later broadcasts until they use the bot
+ * again.
+ */
+
+const BROADCAST_RATE_PER_SECOND = parseInt(process.env.BROADCAST_RATE_PER_SECOND) || 25;
+
+// Attempts per user when Telegram keeps answering 429
+const MAX_SEND_ATTEMPTS = 3;
+
+// Audiences accepted by /broadcast
+const AUDIENCES = ['all', 'active', 'nocredits', ...planService.getPlans().map(plan => `plan:${plan.id}`)];
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether an audience name is valid
+ * @param {string} audience - Audience name
+ * @returns {boolean} True if the audience exists
+ */
+function isValidAudience(audience) {
+  return AUDIENCES.includes(audience);
+}
+
+/**
+ * Get the users a broadcast is sent to
+ * Users who blocked the bot or are banned are left out.
+ * @param {string} audience - all, active (last 7 days), nocredits or plan:<plan id>
+ * @returns {Promise<Object[]>} Users
+ */
+async function getAudience(audience) {
+  const where = [];
+  if (audience === 'active') {
+    const sevenDaysAgo = new Date();
+    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    where.push(['last_activity', '>=', sevenDaysAgo]);
+  } else if (audience === 'nocredits') {
+    where.push(['credits', '==', 0]);
+  }
+  
+  let users = (await usersRepo.find({ where })).filter(user => !user.blocked_bot);
+  
+  // Expired plans fall back to free, so plans are matched after loading
+  if (audience.startsWith('plan:')) {
+    const planId = audience.slice('plan:'.length);
+    users = users.filter(user => planService.getUserPlan(user).id === planId);
+  }
+  
+  const bannedUserIds = await banService.getBannedUserIds();
+  return users.filter(user => !bannedUserIds.has(user.user_id));
+}
+
+/**
+ * Create a broadcast waiting for confirmation
+ * @param {Object} details - Broadcast details
+ * @param {number} details.createdBy - Telegram user ID of the staff member
+ * @param {string} details.audience - Audience name
+ * @param {number} details.sourceChatId - Chat of the message to copy
+ * @param {number} details.sourceMessageId - ID of the message to copy
+ * @param {number} details.total - Number of recipients at creation time
+ * @returns {Promise<string>} Broadcast ID
+ */
+async function createBroadcast({ createdBy, audience, sourceChatId, sourceMessageId, total }) {
+  return broadcastsRepo.create({
+    created_by: createdBy,
+    audience,
+    source_chat_id: sourceChatId,
+    source_message_id: sourceMessageId,
+    total,
+    status: 'pending',
+    created_at: new Date()
+  });
+}
+
+/**
+ * Confirm or cancel a broadcast waiting for confirmation
+ * Only the first decision counts, so a double tap cannot send twice.
+ * @param {string} broadcastId - Broadcast ID
+ * @param {string} status - New status: sending or cancelled
+ * @returns {Promise<Object|null>} Broadcast, or null if it was already decided
+ */
+async function claimBroadcast(broadcastId, status) {
+  return runTransaction(async (transaction) => {
+    const broadcast = await transaction.get(broadcastsRepo, broadcastId);
+    if (!broadcast || broadcast.status !== 'pending') {
+      return null;
+    }
+    
+    transaction.update(broadcastsRepo, broadcastId, {
+      status,
+      [status === 'sending' ? 'started_at' : 'finished_at']: new Date()
+    });
+    return { id: broadcastId, ...broadcast, status };
+  });
+}
+
+/**
+ * Copy the broadcast message to one user, waiting out rate limits
+ * @param {Object} telegram - Telegraf Telegram instance
+ * @param {Object} broadcast - Broadcast
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<string>} Outcome: sent, blocked or failed
+ */
+async function sendToUser(telegram, broadcast, userId) {
+  for (let attempt = 1; attempt <= MAX_SEND_ATTEMPTS; attempt++) {
+    try {
+      await telegram.copyMessage(userId, broadcast.source_chat_id, broadcast.source_message_id);
+      return 'sent';
+    } catch (error) {
+      const retryAfter = error.parameters?.retry_after;
+      if (error.code === 429 && retryAfter && attempt < MAX_SEND_ATTEMPTS) {
+        await sleep(retryAfter * 1000);
+        continue;
+      }
+      if (error.code === 403) {
+        return 'blocked';
+      }
+      console.error(`Error broadcasting to user ${userId}:`, error.message);
+      return 'failed';
+    }
+  }
+  return 'failed';
+}
+
+/**
+ * Send a confirmed broadcast to its audience
+ * The audience is resolved again when sending starts.
+ * @param {Object} telegram - Telegraf Telegram instance
+ * @param {Object} broadcast - Broadcast claimed with claimBroadcast
+ * @param {Function} [onProgress] - Called with the percentage of users processed
+ * @returns {Promise<Object>} Report with total, sent, failed and blocked counts
+ */
+async function runBroadcast(telegram, broadcast, onProgress) {
+  const users = await getAudience(broadcast.audience);
+  const report = { total: users.length, sent: 0, failed: 0, blocked: 0 };
+  
+  await broadcastsRepo.update(broadcast.id, { total: users.length });
+  
+  const interval = 1000 / BROADCAST_RATE_PER_SECOND;
+  for (const [index, user] of users.entries()) {
+    const startedAt = Date.now();
+    const outcome = await sendToUser(telegram, broadcast, user.user_id);
+    report[outcome]++;
+    
+    if (outcome === 'blocked') {
+      await usersRepo.update(String(user.user_id), {
+        blocked_bot: true,
+        blocked_at: new Date()
+      }).catch(err => console.error(`Failed to mark user ${user.user_id} as blocked:`, err));
+    }
+    
+    if (onProgress) {
+      onProgress((index + 1) / users.length * 100);
+    }
+    await sleep(Math.max(0, interval - (Date.now() - startedAt)));
+  }
+  
+  await broadcastsRepo.update(broadcast.id, {
+    status: 'completed',
+    sent: report.sent,
+    failed: report.failed,
+    blocked: report.blocked,
+    finished_at: new Date()
+  });
+  
+  return report;
+}
+
+module.exports = {
+  AUDIENCES,
+  isValidAudience,
+  getAudience,
+  createBroadcast,
+  claimBroadcast,
+  runBroadcast
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { increment, conversionCache: cacheRepo } = require('../repositories');
+
+/**
+ * Cache of conversion results
+ * Entries map a source file (Telegram file_unique_id) and normalized
+ * conversion options to the converted file in the storage channel. An entry
+ * expires together with its storage message, so a cached file_id is never
+ * served after cleanupOldFiles deleted the message.
+ */
+
+// Entries are not served when their storage message is about to be deleted
+const CACHE_SAFETY_MARGIN_MS = 10 * 60 * 1000;
+
+/**
+ * Get the credits charged for a conversion served from the cache
+ * CACHE_HIT_CREDITS may be 0 to make cache hits free; by default they cost
+ * as much as the conversion would.
+ * @param {number} price - Regular price of the conversion
+ * @returns {number} Credits for this cache hit
+ */
+function getCacheHitCredits(price) {
+  const credits = parseInt(process.env.CACHE_HIT_CREDITS);
+  return Number.isNaN(credits) ? price : credits;
+}
+
+/**
+ * Copy an object with its keys sorted, so equal options serialize equally
+ * @param {Object} object - Object to copy
+ * @returns {Object} Object with sorted keys
+ */
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Reduce conversion options to the ones that affect the output
+ * @param {Object} options - Conversion options as stored on a job
+ * @returns {Object} Normalized options
+ */
+function normalizeOptions(options) {
+  const normalized = { type: options.file_type, format: options.format };
+  
+  if (options.file_type === 'video' && options.format !== 'mp3') {
+    normalized.scale_mode = options.scale_mode || 'fit';
+    normalized.auto_rotate = options.auto_rotate !== false;
+  }
+  if (options.format === 'custom') {
+    normalized.video_options = sortKeys(options.video_options);
+  }
+  if (options.file_type === 'image') {
+    normalized.image_size = options.image_size || 'original';
+    normalized.image_quality = options.image_quality || 'high';
+  } else if (options.trim) {
+    normalized.trim = [options.trim.start, options.trim.end];
+  }
+  if (options.file_type === 'audio' && options.audio_effects) {
+    normalized.audio_effects = sortKeys(options.audio_effects);
+  }
+  
+  return sortKeys(normalized);
+}
+
+/**
+ * Get the cache key of a conversion
+ * @param {string} fileUniqueId - Telegram file_unique_id of the source file
+ * @param {Object} options - Conversion options (file_type, format, video_options, scale_mode, auto_rotate, trim, image_size, image_quality, audio_effects)
+ * @returns {string|null} Cache key, or null if the source has no file_unique_id
+ */
+function getCacheKey(fileUniqueId, options) {
+  if (!fileUniqueId) {
+    return null;
+  }
+  
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([fileUniqueId, normalizeOptions(options)]))
+    .digest('hex');
+}
+
+/**
+ * Get a cached conversion result
+ * @param {string} cacheKey - Cache key
+ * @returns {Promise<Object|null>} Cache entry with file_id and media_type, or null if missing or about to expire
+ */
+async function getCachedResult(cacheKey) {
+  const entry = await cacheRepo.get(cacheKey);
+  if (!entry || entry.expires_at.getTime() - CACHE_SAFETY_MARGIN_MS <= Date.now()) {
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Cache a converted file uploaded to the storage channel
+ * @param {string} cacheKey - Cache key
+ * @param {Object} storageFile - storage_files record with id, file_id, media_type, file_size, message_id and expires_at
+ * @returns {Promise<void>}
+ */
+async function storeResult(cacheKey, storageFile) {
+  await cacheRepo.set(cacheKey, {
+    file_id: storageFile.file_id,
+    media_type: storageFile.media_type,
+    file_size: storageFile.file_size,
+    storage_file_id: storageFile.id,
+    storage_message_id: storageFile.message_id,
+    hits: 0,
+    created_at: new Date(),
+    expires_at: storageFile.expires_at
+  });
+}
+
+/**
+ * Count a conversion served from the cache
+ * @param {string} cacheKey - Cache key
+ * @returns {Promise<void>}
+ */
+async function recordHit(cacheKey) {
+  await cacheRepo.update(cacheKey, {
+    hits: increment(1),
+    last_hit_at: new Date()
+  });
+}
+
+/**
+ * Remove a cache entry if it still points to a file
+ * Called when the file's storage message is deleted; a newer entry under the
+ * same key is kept.
+ * @param {string} cacheKey - Cache key
+ * @param {string} fileId - File ID of the deleted storage file
+ * @returns {Promise<void>}
+ */
+async function invalidate(cacheKey, fileId) {
+  const entry = await cacheRepo.get(cacheKey);
+  if (entry && entry.file_id === fileId) {
+    await cacheRepo.delete(cacheKey);
+  }
+}
+
+module.exports = {
+  getCacheHitCredits,
+  getCacheKey,
+  getCachedResult,
+  storeResult,
+  recordHit,
+  invalidate
+};
@@ -0,0 +1,543 @@
+const fs = require('fs');
+const path = require('path');
+const { Markup } = require('telegraf');
+const { increment, users: usersRepo, conversions: conversionsRepo } = require('../repositories');
+const userService = require('./userService');
+const mediaService = require('./mediaService');
+const cacheService = require('./cacheService');
+const statsService = require('./statsService');
+const { createProgressReporter } = require('../utils/progressReporter');
+const { createZip } = require('../utils/zip');
+const { formatFileSize } = require('../utils/helpers');
+const { getUploadLimitBytes } = require('../utils/botApi');
+
+/**
+ * Build the inline keyboard with a Cancel button for a job's status message
+ * @param {string} jobId - Job ID
+ * @returns {Object} Telegraf inline keyboard markup
+ */
+function getCancelKeyboard(jobId) {
+  return Markup.inlineKeyboard([
+    Markup.button.callback('✖️ Cancel', `cancel_${jobId}`)
+  ]);
+}
+
+/**
+ * Get the credit reservations of a job (one per file for batches)
+ * @param {Object} job - Job data
+ * @returns {string[]} Reservation IDs
+ */
+function getJobReservations(job) {
+  return job.files ? job.files.map(file => file.reservation_id) : [job.reservation_id];
+}
+
+/**
+ * Refund all reservations of a job that have not been committed
+ * @param {Object} job - Job data
+ * @returns {Promise<void>}
+ */
+async function refundJob(job) {
+  for (const reservationId of getJobReservations(job)) {
+    await userService.refundCredits(reservationId)
+      .catch(err => console.error(`Error refunding credits for job ${job.id}:`, err));
+  }
+}
+
+/**
+ * Finish cancelling a job: refund its reserved credits and, for jobs that
+ * never started, update the status message (running jobs do this themselves)
+ * @param {Object} telegram - Telegraf Telegram instance
+ * @param {Object} result - Result of queueService.cancelJob
+ * @returns {Promise<void>}
+ */
+async function finalizeCancelledJob(telegram, result) {
+  if (result.running) {
+    return;
+  }
+  
+  const job = result.job;
+  await refundJob(job);
+  await telegram.editMessageText(
+    job.chat_id,
+    job.status_message_id,
+    undefined,
+    '🚫 Conversion cancelled. No credits were deducted.'
+  ).catch(() => {});
+}
+
+/**
+ * Convert a downloaded file according to the job settings
+ * @param {string} filePath - Path to the downloaded file
+ * @param {Object} job - Job data
+ * @param {Object} convertOptions - Progress and warning callbacks and abort signal
+ * @returns {Promise<string>} Path to converted file
+ */
+function convertFile(filePath, job, convertOptions) {
+  const options = {
+    ...convertOptions,
+    scaleMode: job.scale_mode,
+    autoRotate: job.auto_rotate,
+    trim: job.trim,
+    effects: job.audio_effects
+  };
+  
+  if (job.file_type === 'video' && job.format === 'custom') {
+    return mediaService.convertVideoCustom(filePath, job.video_options, options);
+  } else if (job.file_type === 'video') {
+    return mediaService.convertVideo(filePath, job.format, options);
+  } else if (job.file_type === 'audio') {
+    return mediaService.convertAudio(filePath, job.format, options);
+  } else if (job.file_type === 'image') {
+    return mediaService.convertImage(filePath, job.format, {
+      ...options,
+      size: job.image_size,
+      quality: job.image_quality
+    });
+  }
+  throw new Error('Unsupported file type');
+}
+
+/**
+ * Add a conversion to the user's conversion history
+ * @param {number} userId - Telegram user ID
+ * @param {Object} details - Conversion details
+ * @param {string} details.status - completed, failed or cancelled
+ * @param {string} details.originalFileId - Telegram file ID of the source
+ * @param {string} details.format - Target format
+ * @param {number} [details.inputSize] - Source size in bytes
+ * @param {number} [details.outputSize] - Converted size in bytes
+ * @param {number} [details.durationMs] - Download and conversion time (not set for cache hits)
+ * @param {string} [details.storageFileId] - storage_files record of the converted file
+ * @param {string} [details.convertedFileId] - Telegram file ID of the converted file
+ * @param {boolean} [details.cached] - True if the result was served from the cache
+ * @param {string} [details.error] - Error reason for failed conversions
+ * @returns {Promise<void>}
+ */
+async function logConversion(userId, details) {
+  await conversionsRepo.create({
+    user_id: userId,
+    status: details.status,
+    original_file_id: details.originalFileId,
+    converted_file_id: details.convertedFileId || null,
+    storage_file_id: details.storageFileId || null,
+    format: details.format,
+    cached: details.cached || false,
+    duration_ms: details.durationMs || null,
+    input_size: details.inputSize || null,
+    output_size: details.outputSize || null,
+    error: details.error || null,
+    created_at: new Date()
+  });
+}
+
+/**
+ * Count a delivered conversion for the user and log it
+ * @param {number} userId - Telegram user ID
+ * @param {Object} upload - Result of mediaService.uploadToStorageChannel (message and storageFileId)
+ * @param {Object} details - Conversion details (see logConversion)
+ * @returns {Promise<void>}
+ */
+async function recordConversion(userId, upload, details) {
+  // Update usage count
+  await usersRepo.update(String(userId), {
+    usage_count: increment(1)
+  });
+  
+  await logConversion(userId, {
+    ...details,
+    status: 'completed',
+    storageFileId: upload.storageFileId,
+    convertedFileId: mediaService.getMessageFileId(upload.message)
+  });
+  await statsService.recordConversion(details.format, details.cached ? null : details.durationMs);
+}
+
+/**
+ * Log a conversion that failed or was cancelled
+ * Errors are logged instead of thrown, so the original error is reported.
+ * @param {number} userId - Telegram user ID
+ * @param {Object} details - Conversion details (see logConversion)
+ * @param {Error} error - Error the conversion stopped with
+ * @param {boolean} cancelled - True if the user cancelled the conversion
+ * @returns {Promise<void>}
+ */
+async function recordFailedConversion(userId, details, error, cancelled) {
+  try {
+    await logConversion(userId, {
+      ...details,
+      status: cancelled ? 'cancelled' : 'failed',
+      error: cancelled ? null : error.message
+    });
+    if (!cancelled) {
+      await statsService.recordFailure();
+    }
+  } catch (err) {
+    console.error('Error recording failed conversion:', err);
+  }
+}
+
+/**
+ * Send a converted file from the storage channel to the user
+ * @param {Object} telegram - Telegraf Telegram instance
+ * @param {number} chatId - Chat to send the file to
+ * @param {Object} message - Storage channel message with the converted file
+ * @param {string} caption - Caption for the file
+ * @returns {Promise<void>}
+ */
+async function sendResult(telegram, chatId, message, caption) {
+  if (message.sticker) {
+    // Stickers cannot have a caption
+    await telegram.sendSticker(chatId, message.sticker.file_id);
+    await telegram.sendMessage(chatId, caption);
+  } else if (message.video_note) {
+    // Video notes cannot have a caption
+    await telegram.sendVideoNote(chatId, message.video_note.file_id);
+    await telegram.sendMessage(chatId, caption);
+  } else if (message.voice) {
+    await telegram.sendVoice(chatId, message.voice.file_id, { caption });
+  } else if (message.animation) {
+    await telegram.sendAnimation(chatId, message.animation.file_id, { caption });
+  } else if (message.video) {
+    await telegram.sendVideo(chatId, message.video.file_id, { caption });
+  } else if (message.audio) {
+    await telegram.sendAudio(chatId, message.audio.file_id, { caption });
+  } else {
+    await telegram.sendDocument(chatId, message.document.file_id, { caption });
+  }
+}
+
+/**
+ * Process a queued conversion job: download, convert, upload and deliver the result
+ * @param {Object} telegram - Telegraf Telegram instance
+ * @param {Object} job - Job data from the queue
+ * @param {AbortSignal} signal - Aborted when the user cancels the job
+ * @returns {Promise<void>}
+ */
+async function processConversionJob(telegram, job, signal) {
+  const userId = job.user_id;
+  const chatId = job.chat_id;
+  const format = job.format;
+  const tempFiles = [];
+  const warnings = [];
+  const cancelKeyboard = getCancelKeyboard(job.id);
+  const progress = createProgressReporter(telegram, chatId, job.status_message_id, {
+    extra: cancelKeyboard
+  });
+  
+  // Conversion history details, filled in as the job progresses
+  const details = { originalFileId: job.file_id, format, inputSize: job.file_size };
+  const startedAt = Date.now();
+  let completed = false;
+  
+  try {
+    await telegram.editMessageText(chatId, job.status_message_id, undefined, '⏳ Processing your file...', cancelKeyboard)
+      .catch(() => {});
+    
+    // Download file
+    const downloadedFilePath = await mediaService.downloadFile({ telegram }, job.file_id, signal);
+    tempFiles.push(downloadedFilePath);
+    
+    // Convert file
+    const convertedFilePath = await convertFile(downloadedFilePath, job, {
+      onProgress: progress.update,
+      onWarning: (warning) => warnings.push(warning),
+      signal
+    });
+    tempFiles.push(convertedFilePath);
+    details.durationMs = Date.now() - startedAt;
+    details.outputSize = fs.statSync(convertedFilePath).size;
+    await progress.stop();
+    await telegram.editMessageText(chatId, job.status_message_id, undefined, '📤 Uploading your file...', cancelKeyboard)
+      .catch(() => {});
+    
+    // Upload to storage channel
+    const formatLabel = job.format_label || format;
+    const storageCaption = `Converted by user ${userId} | Format: ${formatLabel}`;
+    const upload = await mediaService.uploadToStorageChannel(convertedFilePath, storageCaption, {
+      format,
+      cacheKey: job.cache_key
+    });
+    
+    // Last point where a cancelled job can stop without being charged
+    if (signal.aborted) {
+      throw new Error('Conversion cancelled');
+    }
+    
+    // Charge the credits reserved when the job was queued
+    const remainingCredits = await userService.commitCredits(job.reservation_id);
+    await recordConversion(userId, upload, details);
+    completed = true;
+    
+    // Delete processing message
+    await telegram.deleteMessage(chatId, job.status_message_id).catch(() => {});
+    
+    // Send converted file to user
+    let caption = `✅ Converted to ${formatLabel}\n\nRemaining credits: ${remainingCredits}`;
+    if (warnings.length > 0) {
+      caption += `\n\n⚠️ ${warnings.join('\n⚠️ ')}`;
+    }
+    await sendResult(telegram, chatId, upload.message, caption);
+  } catch (error) {
+    await progress.stop();
+    await refundJob(job);
+    
+    if (!completed) {
+      details.durationMs = details.durationMs || Date.now() - startedAt;
+      await recordFailedConversion(userId, details, error, signal.aborted);
+    }
+    
+    if (signal.aborted) {
+      await telegram.editMessageText(
+        chatId,
+        job.status_message_id,
+        undefined,
+        '🚫 Conversion cancelled. No credits were deducted.'
+      ).catch(() => {});
+    } else if (error.message === 'Trim range outside media') {
+      await telegram.sendMessage(chatId, '❌ The trim start is past the end of the file. No credits were deducted.')
+        .catch(err => console.error('Error notifying user about failed conversion:', err));
+    } else if (error.message === 'File too large to upload') {
+      await telegram.sendMessage(
+        chatId,
+        `❌ The converted file is larger than the ${formatFileSize(getUploadLimitBytes())} Telegram lets bots send. ` +
+        'Try a lower resolution or a shorter trim. No credits were deducted.'
+      ).catch(err => console.error('Error notifying user about failed conversion:', err));
+    } else {
+      await telegram.sendMessage(chatId, '❌ Conversion failed. Please try again later.')
+        .catch(err => console.error('Error notifying user about failed conversion:', err));
+    }
+    throw error;
+  } finally {
+    // Clean up temp files
+    mediaService.cleanupTempFiles(tempFiles);
+  }
+}
+
+/**
+ * Deliver a conversion result from the cache without converting again
+ * The file is sent first; credits reserved for the hit are charged only once
+ * it was delivered. If sending fails, the reservation is refunded and the
+ * cache entry dropped, so the file can be converted again.
+ * @param {Object} telegram - Telegraf Telegram instance
+ * @param {Object} job - Job data (user_id, chat_id, file_id, file_size, format, format_label, cache_key and reservation_id, null for free hits)
+ * @param {Object} entry - Cache entry (see cacheService)
+ * @returns {Promise<boolean>} True if the file was delivered
+ */
+async function deliverCachedResult(telegram, job, entry) {
+  const message = { [entry.media_type]: { file_id: entry.file_id } };
+  const formatLabel = job.format_label || job.format;
+  
+  // Reserved credits are already deducted from the balance
+  const user = await userService.getOrCreateUser(job.user_id);
+  try {
+    await sendResult(telegram, job.chat_id, message, `⚡ Converted to ${formatLabel}\n\nRemaining credits: ${user.credits}`);
+  } catch (error) {
+    console.error('Error sending cached conversion:', error);
+    await userService.refundCredits(job.reservation_id);
+    await cacheService.invalidate(job.cache_key, entry.file_id);
+    return false;
+  }
+  
+  await userService.commitCredits(job.reservation_id);
+  await recordConversion(job.user_id, { message, storageFileId: entry.storage_file_id }, {
+    originalFileId: job.file_id,
+    format: job.format,
+    inputSize: job.file_size,
+    outputSize: entry.file_size,
+    cached: true
+  });
+  await cacheService.recordHit(job.cache_key);
+  return true;
+}
+
+/**
+ * Build unique names for converted files inside a ZIP archive
+ * @param {Object[]} results - Converted files with file (job file data) and path
+ * @returns {Object[]} ZIP entries with name and path
+ */
+function getZipEntries(results) {
+  const used = new Set();
+  return results.map(({ file, path: filePath }) => {
+    const extension = path.extname(filePath);
+    const base = path.basename(file.file_name, path.extname(file.file_name)) || 'file';
+    let name = `${base}${extension}`;
+    for (let i = 2; used.has(name); i++) {
+      name = `${base} (${i})${extension}`;
+    }
+    used.add(name);
+    return { name, path: filePath };
+  });
+}
+
+/**
+ * Process a queued batch job: convert every file with the same format, then
+ * deliver the results one by one or as a single ZIP archive. Credits of files
+ * that fail are refunded; the others are charged when they are delivered.
+ * @param {Object} telegram - Telegraf Telegram instance
+ * @param {Object} job - Batch job data from the queue (files instead of file_id)
+ * @param {AbortSignal} signal - Aborted when the user cancels the job
+ * @returns {Promise<void>}
+ */
+async function processBatchJob(telegram, job, signal) {
+  const userId = job.user_id;
+  const chatId = job.chat_id;
+  const total = job.files.length;
+  const formatLabel = job.format_label || job.format;
+  const tempFiles = [];
+  const warnings = [];
+  const results = [];
+  const failed = [];
+  const cancelKeyboard = getCancelKeyboard(job.id);
+  
+  // Files already added to the conversion history
+  const logged = new Set();
+  const getDetails = (file) => ({ originalFileId: file.file_id, format: job.format, inputSize: file.file_size });
+  
+  try {
+    for (const [index, file] of job.files.entries()) {
+      const progress = createProgressReporter(telegram, chatId, job.status_message_id, {
+        title: `⏳ Converting file ${index + 1} of ${total}`,
+        extra: cancelKeyboard
+      });
+      const startedAt = Date.now();
+      
+      try {
+        await telegram.editMessageText(
+          chatId,
+          job.status_message_id,
+          undefined,
+          `⏳ Processing file ${index + 1} of ${total}...`,
+          cancelKeyboard
+        ).catch(() => {});
+        
+        const downloadedFilePath = await mediaService.downloadFile({ telegram }, file.file_id, signal);
+        tempFiles.push(downloadedFilePath);
+        const convertedFilePath = await convertFile(downloadedFilePath, job, {
+          onProgress: progress.update,
+          onWarning: (warning) => warnings.push(`${file.file_name}: ${warning}`),
+          signal
+        });
+        tempFiles.push(convertedFilePath);
+        const outputSize = fs.statSync(convertedFilePath).size;
+        if (outputSize > getUploadLimitBytes()) {
+          throw new Error('File too large to upload');
+        }
+        results.push({
+          file,
+          path: convertedFilePath,
+          details: { ...getDetails(file), durationMs: Date.now() - startedAt, outputSize }
+        });
+      } catch (error) {
+        if (signal.aborted) {
+          throw error;
+        }
+        console.error(`Error converting file ${index + 1} of batch job ${job.id}:`, error);
+        failed.push(file.file_name);
+        await recordFailedConversion(userId, { ...getDetails(file), durationMs: Date.now() - startedAt }, error, false);
+        logged.add(file);
+        await userService.refundCredits(file.reservation_id)
+          .catch(err => console.error(`Error refunding credits for job ${job.id}:`, err));
+      } finally {
+        await progress.stop();
+      }
+    }
+    
+    if (results.length === 0) {
+      throw new Error('All files in the batch failed');
+    }
+    
+    await telegram.editMessageText(chatId, job.status_message_id, undefined, '📤 Uploading your files...', cancelKeyboard)
+      .catch(() => {});
+    
+    // Archives larger than the upload limit are delivered file by file instead
+    let zipPath = null;
+    if (job.zip) {
+      zipPath = path.join(path.dirname(results[0].path), `batch_${job.id}.zip`);
+      tempFiles.push(zipPath);
+      await createZip(zipPath, getZipEntries(results));
+      if (fs.statSync(zipPath).size > getUploadLimitBytes()) {
+        warnings.push('The ZIP archive was too large to send, so the files were sent separately.');
+        zipPath = null;
+      }
+    }
+    
+    let remainingCredits = null;
+    if (zipPath) {
+      const upload = await mediaService.uploadToStorageChannel(
+        zipPath,
+        `Batch converted by user ${userId} | Format: ${formatLabel}`
+      );
+      if (signal.aborted) {
+        throw new Error('Conversion cancelled');
+      }
+      
+      for (const result of results) {
+        remainingCredits = await userService.commitCredits(result.file.reservation_id);
+        await recordConversion(userId, upload, result.details);
+        logged.add(result.file);
+      }
+      await sendResult(telegram, chatId, upload.message, `📦 ${results.length} files converted to ${formatLabel}`);
+    } else {
+      for (const [index, result] of results.entries()) {
+        const upload = await mediaService.uploadToStorageChannel(
+          result.path,
+          `Converted by user ${userId} | Format: ${formatLabel}`,
+          { format: job.format }
+        );
+        if (signal.aborted) {
+          throw new Error('Conversion cancelled');
+        }
+        
+        remainingCredits = await userService.commitCredits(result.file.reservation_id);
+        await recordConversion(userId, upload, result.details);
+        logged.add(result.file);
+        await sendResult(telegram, chatId, upload.message, `✅ ${index + 1}/${results.length} ${result.file.file_name} → ${formatLabel}`);
+      }
+    }
+    
+    // Replace the status message with a summary
+    await telegram.deleteMessage(chatId, job.status_message_id).catch(() => {});
+    let summary = `✅ Batch finished: ${results.length} of ${total} files converted to ${formatLabel}.`;
+    if (failed.length > 0) {
+      summary += `\n\n❌ Failed (credits refunded): ${failed.join(', ')}`;
+    }
+    if (warnings.length > 0) {
+      summary += `\n\n⚠️ ${warnings.join('\n⚠️ ')}`;
+    }
+    summary += `\n\nRemaining credits: ${remainingCredits}`;
+    await telegram.sendMessage(chatId, summary);
+  } catch (error) {
+    // Refunds are no-ops for files that were already delivered and charged
+    await refundJob(job);
+    
+    // Files that were delivered or failed on their own are logged already
+    for (const file of job.files.filter(file => !logged.has(file))) {
+      const result = results.find(result => result.file === file);
+      await recordFailedConversion(userId, result ? result.details : getDetails(file), error, signal.aborted);
+    }
+    
+    if (signal.aborted) {
+      await telegram.editMessageText(
+        chatId,
+        job.status_message_id,
+        undefined,
+        '🚫 Batch cancelled. Credits for files that were not delivered have been refunded.'
+      ).catch(() => {});
+    } else {
+      await telegram.sendMessage(chatId, '❌ Batch conversion failed. Credits for files that were not delivered have been refunded.')
+        .catch(err => console.error('Error notifying user about failed conversion:', err));
+    }
+    throw error;
+  } finally {
+    // Clean up temp files
+    mediaService.cleanupTempFiles(tempFiles);
+  }
+}
+
+module.exports = {
+  getCancelKeyboard,
+  finalizeCancelledJob,
+  processConversionJob,
+  processBatchJob,
+  deliverCachedResult
+};
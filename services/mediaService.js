@@ -2,40 +2,135 @@ const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const { Readable } = require('stream');
-const admin = require('firebase-admin');
-const db = admin.firestore();
-const conversionsRef = db.collection('conversions');
+const { storageFiles: storageFilesRepo } = require('../repositories');
+const videoOptionsService = require('./videoOptionsService');
+const audioEffectsService = require('./audioEffectsService');
+const cacheService = require('./cacheService');
+const { getVideoGeometry, computeScaling } = require('../utils/scaling');
+const { parseTimestamp } = require('../utils/helpers');
+const { isLocalBotApi, getTelegrafOptions, getUploadLimitBytes } = require('../utils/botApi');
+const { MAX_OUTPUT_SECONDS } = require('../utils/mediaInfo');
 const { Telegraf } = require('telegraf');
 
 // Initialize bot for storage channel operations
-const bot = new Telegraf(process.env.BOT_TOKEN);
+const bot = new Telegraf(process.env.BOT_TOKEN, getTelegrafOptions());
 
 // Temp directory for file processing
 const tempDir = path.join(__dirname, '..', 'temp');
 
+// Output file extensions of video formats other than resolutions
+const VIDEO_OUTPUT_EXTENSIONS = {
+  mp3: '.mp3',
+  gif: '.gif',
+  sticker: '.webm'
+};
+
+// GIFs grow quickly, so they are limited in width, frame rate and length
+// (see MAX_OUTPUT_SECONDS for the length limits of all formats)
+const GIF_MAX_WIDTH = 480;
+const GIF_FPS = 15;
+
+// Telegram video sticker limits
+const STICKER_SIZE = 512;
+const STICKER_MAX_FPS = 30;
+const STICKER_MAX_BYTES = 256 * 1024;
+
+// Telegram video note limits (round videos are square clips)
+const VIDEO_NOTE_MAX_SIZE = 640;
+
+// Formats uploaded with their own Telegram method instead of by file extension
+const UPLOAD_TYPES = {
+  sticker: 'sticker',
+  videonote: 'video_note',
+  voice: 'voice'
+};
+
+// Image output formats: ffmpeg encoder, muxer, extension and the option that sets quality
+const IMAGE_FORMATS = {
+  png: { encoder: 'png', muxer: 'image2', extension: '.png' },
+  jpeg: { encoder: 'mjpeg', muxer: 'image2', extension: '.jpg', quality: { option: '-q:v', high: 2, medium: 5, low: 10 } },
+  webp: { encoder: 'libwebp', muxer: 'image2', extension: '.webp', quality: { option: '-quality', high: 90, medium: 75, low: 50 } },
+  avif: {
+    encoder: 'libaom-av1',
+    muxer: 'avif',
+    extension: '.avif',
+    quality: { option: '-crf', high: 20, medium: 30, low: 40 },
+    outputOptions: ['-still-picture 1', '-cpu-used 6', '-pix_fmt yuv420p']
+  }
+};
+
+// Largest side of resized images, and quality levels offered for images
+const IMAGE_SIZES = {
+  original: { label: 'Original' },
+  large: { label: '2048px', pixels: 2048 },
+  medium: { label: '1280px', pixels: 1280 },
+  small: { label: '640px', pixels: 640 }
+};
+const IMAGE_QUALITIES = {
+  high: { label: 'High' },
+  medium: { label: 'Medium' },
+  low: { label: 'Low' }
+};
+
+// Telegram static sticker size
+const IMAGE_STICKER_SIZE = 512;
+
+// Audio output formats: ffmpeg encoder, codec name reported by ffprobe, bitrate,
+// muxer and extension when they differ from the format name, and the sample
+// rates the encoder accepts when it is limited
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+const AUDIO_FORMATS = {
+  mp3: { encoder: 'libmp3lame', codec: 'mp3', bitrate: 192 },
+  wav: { encoder: 'pcm_s16le', codec: 'pcm_s16le' },
+  ogg: { encoder: 'libvorbis', codec: 'vorbis', bitrate: 192 },
+  flac: { encoder: 'flac', codec: 'flac' },
+  aac: { encoder: 'aac', codec: 'aac', bitrate: 192, muxer: 'adts' },
+  m4a: { encoder: 'aac', codec: 'aac', bitrate: 192, muxer: 'ipod' },
+  opus: { encoder: 'libopus', codec: 'opus', bitrate: 128, muxer: 'ogg', sampleRates: OPUS_SAMPLE_RATES },
+  voice: { encoder: 'libopus', codec: 'opus', bitrate: 64, channels: 1, muxer: 'ogg', extension: 'ogg', sampleRates: OPUS_SAMPLE_RATES }
+};
+
 /**
  * Download file from Telegram
  * @param {Object} ctx - Telegram context
  * @param {string} fileId - Telegram file ID
+ * @param {AbortSignal} [signal] - Signal to abort the download
  * @returns {Promise<string>} Path to downloaded file
  */
-async function downloadFile(ctx, fileId) {
+async function downloadFile(ctx, fileId, signal) {
   try {
-    const fileLink = await ctx.telegram.getFileLink(fileId);
+    const file = await ctx.telegram.getFile(fileId);
     const fileName = `${Date.now()}_${Math.floor(Math.random() * 10000)}`;
     const filePath = path.join(tempDir, fileName);
     
+    // A local Bot API server returns a path on its own disk; copy the file
+    // so cleaning up temp files never touches the server's copy
+    if (isLocalBotApi() && path.isAbsolute(file.file_path) && fs.existsSync(file.file_path)) {
+      await fs.promises.copyFile(file.file_path, filePath);
+      return filePath;
+    }
+    
     // Download file using Telegraf's getFileLink
-    const response = await fetch(fileLink.href);
+    const fileLink = await ctx.telegram.getFileLink(file);
+    const response = await fetch(fileLink.href, { signal });
     const fileStream = fs.createWriteStream(filePath);
     
-    return new Promise((resolve, reject) => {
+    return await new Promise((resolve, reject) => {
       const stream = Readable.fromWeb(response.body);
-      stream.pipe(fileStream);
+      const fail = (error) => {
+        fileStream.destroy();
+        cleanupTempFiles([filePath]);
+        reject(error);
+      };
+      stream.on('error', fail);
+      fileStream.on('error', fail);
       fileStream.on('finish', () => resolve(filePath));
-      fileStream.on('error', reject);
+      stream.pipe(fileStream);
     });
   } catch (error) {
+    if (signal?.aborted) {
+      throw new Error('Conversion cancelled');
+    }
     console.error('Error downloading file:', error);
     throw new Error('Failed to download file');
   }
@@ -53,121 +148,622 @@ function getAvailableFormats(fileType) {
       { label: '480p', value: '480p' },
       { label: '720p', value: '720p' },
       { label: '1080p', value: '1080p' },
-      { label: 'Extract MP3', value: 'mp3' }
+      { label: 'Extract MP3', value: 'mp3' },
+      { label: 'GIF', value: 'gif' },
+      { label: 'Video sticker', value: 'sticker' },
+      { label: 'Video note', value: 'videonote' }
     ];
   } else if (fileType === 'audio') {
     return [
       { label: 'MP3', value: 'mp3' },
       { label: 'WAV', value: 'wav' },
-      { label: 'OGG', value: 'ogg' }
+      { label: 'OGG', value: 'ogg' },
+      { label: 'FLAC', value: 'flac' },
+      { label: 'AAC', value: 'aac' },
+      { label: 'M4A', value: 'm4a' },
+      { label: 'Opus', value: 'opus' },
+      { label: 'Voice note', value: 'voice' }
+    ];
+  } else if (fileType === 'image') {
+    return [
+      { label: 'PNG', value: 'png' },
+      { label: 'JPEG', value: 'jpeg' },
+      { label: 'WebP', value: 'webp' },
+      { label: 'AVIF', value: 'avif' },
+      { label: 'Sticker', value: 'sticker' }
     ];
   }
   
   return [];
 }
 
+/**
+ * Run an ffmpeg command, reporting progress and honouring cancellation
+ * @param {Object} command - fluent-ffmpeg command
+ * @param {string} outputPath - Path to output file
+ * @param {string} mediaType - Media type used in error messages (video, audio)
+ * @param {Object} options - Conversion options
+ * @param {Function} [options.onProgress] - Called with the progress percentage while converting
+ * @param {AbortSignal} [options.signal] - Signal that kills the ffmpeg process when aborted
+ * @param {Object} [options.trim] - Trim range with start and end in seconds
+ * @returns {Promise<string>} Path to converted file
+ */
+function runCommand(command, outputPath, mediaType, options = {}) {
+  const { onProgress, signal, trim } = options;
+  
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Conversion cancelled'));
+      return;
+    }
+    
+    const kill = () => command.kill('SIGKILL');
+    signal?.addEventListener('abort', kill, { once: true });
+    
+    command
+      .on('error', (err) => {
+        signal?.removeEventListener('abort', kill);
+        cleanupTempFiles([outputPath]);
+        
+        if (signal?.aborted) {
+          reject(new Error('Conversion cancelled'));
+          return;
+        }
+        console.error(`Error converting ${mediaType}:`, err);
+        reject(new Error(`Failed to convert ${mediaType}`));
+      })
+      .on('progress', (progress) => {
+        if (!onProgress) return;
+        if (trim) {
+          // ffmpeg reports the percentage of the whole input, not of the trimmed part
+          onProgress((parseTimestamp(progress.timemark) || 0) / (trim.end - trim.start) * 100);
+        } else {
+          onProgress(progress.percent);
+        }
+      })
+      .on('end', () => {
+        signal?.removeEventListener('abort', kill);
+        resolve(outputPath);
+      })
+      .save(outputPath);
+  });
+}
+
+/**
+ * Read media metadata with ffprobe
+ * @param {string} inputPath - Path to input file
+ * @returns {Promise<Object>} ffprobe metadata (format and streams)
+ */
+function probeFile(inputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, metadata) => {
+      if (err) {
+        console.error('Error probing file:', err);
+        reject(new Error('Failed to read media information'));
+        return;
+      }
+      resolve(metadata);
+    });
+  });
+}
+
+/**
+ * Read the duration of a Telegram file from the local Bot API server's disk
+ * On the cloud Bot API the file is not probed: its URL contains the bot token,
+ * which must not reach ffprobe's arguments or the logs, and fetching it
+ * would delay the format keyboard.
+ * @param {Object} telegram - Telegraf Telegram instance
+ * @param {string} fileId - Telegram file ID
+ * @returns {Promise<number|null>} Duration in seconds, or null if it cannot be read
+ */
+async function probeDuration(telegram, fileId) {
+  if (!isLocalBotApi()) {
+    return null;
+  }
+  
+  try {
+    const file = await telegram.getFile(fileId);
+    if (!path.isAbsolute(file.file_path)) {
+      return null;
+    }
+    const metadata = await probeFile(file.file_path);
+    return parseFloat(metadata.format?.duration) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Run a conversion with stream copy, re-encoding if the copy fails
+ * Stream copy is much faster but only works when the output codecs match the
+ * input, and cuts trimmed files at the nearest keyframe.
+ * @param {Function} buildCommand - Called with true for stream copy or false for re-encoding, returns a fluent-ffmpeg command
+ * @param {boolean} canCopy - Whether the streams can be copied
+ * @param {string} outputPath - Path to output file
+ * @param {string} mediaType - Media type used in error messages (video, audio)
+ * @param {Object} options - Conversion options (see runCommand)
+ * @returns {Promise<string>} Path to converted file
+ */
+async function runWithCopyFallback(buildCommand, canCopy, outputPath, mediaType, options) {
+  if (canCopy) {
+    try {
+      return await runCommand(buildCommand(true), outputPath, mediaType, options);
+    } catch (error) {
+      if (error.message === 'Conversion cancelled') {
+        throw error;
+      }
+      console.log(`Stream copy of ${mediaType} failed, re-encoding`);
+    }
+  }
+  
+  return runCommand(buildCommand(false), outputPath, mediaType, options);
+}
+
+/**
+ * Check a trim range against the probed duration of the media
+ * @param {Object} metadata - ffprobe metadata
+ * @param {Object} [trim] - Trim range with start and end in seconds
+ * @returns {Object|null} Trim range with the end clamped to the duration, or null if not trimming
+ */
+function resolveTrim(metadata, trim) {
+  if (!trim) {
+    return null;
+  }
+  
+  const duration = parseFloat(metadata.format?.duration);
+  if (!duration) {
+    return trim;
+  }
+  if (trim.start >= duration) {
+    throw new Error('Trim range outside media');
+  }
+  return { start: trim.start, end: Math.min(trim.end, duration) };
+}
+
+/**
+ * Apply a trim range to an ffmpeg command
+ * @param {Object} command - fluent-ffmpeg command
+ * @param {Object|null} trim - Trim range with start and end in seconds
+ * @returns {Object} The command
+ */
+function applyTrim(command, trim) {
+  if (trim) {
+    command.seekInput(trim.start).duration(trim.end - trim.start);
+  }
+  return command;
+}
+
 /**
  * Convert video file to specified format
+ * Resolutions keep the source aspect ratio (see utils/scaling.js) and are
+ * never upscaled; a warning is reported instead.
  * @param {string} inputPath - Path to input file
  * @param {string} format - Target format
+ * @param {Object} [options] - Progress callback, abort signal and trim range (see runCommand)
+ * @param {string} [options.scaleMode] - Scaling mode (fit, pad, crop), defaults to fit
+ * @param {boolean} [options.autoRotate] - Apply rotation metadata to the frames, defaults to true
+ * @param {Function} [options.onWarning] - Called with a message when the result differs from what was asked
  * @returns {Promise<string>} Path to converted file
  */
-async function convertVideo(inputPath, format) {
-  const outputFileName = `${path.basename(inputPath, path.extname(inputPath))}_${format}${format === 'mp3' ? '.mp3' : '.mp4'}`;
+async function convertVideo(inputPath, format, options = {}) {
+  const extension = VIDEO_OUTPUT_EXTENSIONS[format] || '.mp4';
+  const outputFileName = `${path.basename(inputPath, path.extname(inputPath))}_${format}${extension}`;
   const outputPath = path.join(tempDir, outputFileName);
   
-  return new Promise((resolve, reject) => {
-    let command = ffmpeg(inputPath);
+  const metadata = await probeFile(inputPath);
+  const trim = resolveTrim(metadata, options.trim);
+  const runOptions = { ...options, trim };
+  const streams = metadata.streams || [];
+  const audioCodec = streams.find(stream => stream.codec_type === 'audio')?.codec_name;
+  
+  if (format === 'gif') {
+    return convertToGif(inputPath, outputPath, metadata, runOptions);
+  }
+  if (format === 'sticker') {
+    return convertToSticker(inputPath, outputPath, metadata, runOptions);
+  }
+  if (format === 'videonote') {
+    return convertToVideoNote(inputPath, outputPath, metadata, runOptions);
+  }
+  
+  if (format === 'mp3') {
+    // Extract audio
+    const buildCommand = (copy) => {
+      const command = applyTrim(ffmpeg(inputPath), trim).noVideo();
+      if (copy) {
+        command.audioCodec('copy');
+      } else {
+        command.audioCodec('libmp3lame').audioBitrate(192);
+      }
+      return command.format('mp3');
+    };
     
-    if (format === 'mp3') {
-      // Extract audio
-      command
-        .noVideo()
-        .audioCodec('libmp3lame')
-        .audioBitrate(192)
-        .format('mp3');
+    return runWithCopyFallback(buildCommand, Boolean(trim) && audioCodec === 'mp3', outputPath, 'video', runOptions);
+  }
+  
+  // Convert video resolution, keeping the aspect ratio of the source
+  const { scaleMode = 'fit', autoRotate = true, onWarning } = options;
+  const target = parseInt(format.replace('p', ''));
+  const geometry = getVideoGeometry(metadata, autoRotate);
+  if (!geometry) {
+    throw new Error('No video stream found');
+  }
+  
+  const scaling = computeScaling(geometry, target, scaleMode);
+  if (scaling.upscaleSkipped && onWarning) {
+    onWarning(`The source is smaller than ${format}, so it was not upscaled (${scaling.width}x${scaling.height}).`);
+  }
+  
+  // A trimmed H.264/AAC source that needs no scaling can be cut without re-encoding
+  const videoStream = streams.find(stream => stream.codec_type === 'video');
+  const canCopy = Boolean(trim) &&
+    videoStream.codec_name === 'h264' &&
+    (!audioCodec || audioCodec === 'aac') &&
+    scaling.width === geometry.width &&
+    scaling.height === geometry.height &&
+    scaleMode === 'fit';
+  
+  const buildCommand = (copy) => {
+    const command = applyTrim(ffmpeg(inputPath), trim);
+    if (!autoRotate) {
+      // Keep the frames as stored and carry the rotation over as metadata
+      command.inputOptions('-noautorotate');
+      if (geometry.rotation) {
+        command.outputOptions(`-metadata:s:v:0 rotate=${geometry.rotation}`);
+      }
+    }
+    
+    if (copy) {
+      command.videoCodec('copy').audioCodec('copy');
     } else {
-      // Convert video resolution
-      const height = parseInt(format.replace('p', ''));
-      const width = Math.floor(height * 16 / 9); // Assuming 16:9 aspect ratio
-      
       command
         .videoCodec('libx264')
-        .size(`${width}x${height}`)
+        .videoFilters(scaling.filter)
         .audioCodec('aac')
-        .audioBitrate(128)
-        .format('mp4');
+        .audioBitrate(128);
     }
+    return command.format('mp4');
+  };
+  
+  return runWithCopyFallback(buildCommand, canCopy, outputPath, 'video', runOptions);
+}
+
+/**
+ * Limit the length of a clip, reporting a warning when it is shortened
+ * @param {Object} metadata - ffprobe metadata
+ * @param {Object} options - Conversion options with trim range and onWarning callback
+ * @param {number} maxSeconds - Maximum length in seconds
+ * @param {string} label - Output name used in the warning
+ * @returns {Object} Trim range covering at most maxSeconds
+ */
+function limitClip(metadata, options, maxSeconds, label) {
+  const start = options.trim ? options.trim.start : 0;
+  const end = options.trim ? options.trim.end : parseFloat(metadata.format?.duration) || maxSeconds;
+  
+  if (end - start > maxSeconds + 0.01) {
+    if (options.onWarning) {
+      options.onWarning(`${label} are limited to ${maxSeconds} seconds, so only the first ${maxSeconds} seconds were used.`);
+    }
+    return { start, end: start + maxSeconds };
+  }
+  return { start, end };
+}
+
+/**
+ * Convert video to an optimized GIF using a generated palette
+ * @param {string} inputPath - Path to input file
+ * @param {string} outputPath - Path to output file
+ * @param {Object} metadata - ffprobe metadata of the input
+ * @param {Object} options - Conversion options (see runCommand)
+ * @returns {Promise<string>} Path to converted file
+ */
+function convertToGif(inputPath, outputPath, metadata, options) {
+  const trim = limitClip(metadata, options, MAX_OUTPUT_SECONDS.gif, 'GIFs');
+  const command = applyTrim(ffmpeg(inputPath), trim)
+    .noAudio()
+    .videoFilters(
+      `fps=${GIF_FPS},scale='min(${GIF_MAX_WIDTH},iw)':-1:flags=lanczos,` +
+      'split[frames][copy];[copy]palettegen=stats_mode=diff[palette];' +
+      '[frames][palette]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle'
+    )
+    .format('gif');
+  
+  return runCommand(command, outputPath, 'video', { ...options, trim });
+}
+
+/**
+ * Convert video to a Telegram video sticker
+ * Stickers are VP9 WebM without audio, with the longer side at 512px, at most
+ * 3 seconds and 30 fps, and no larger than 256 KB. The bitrate is lowered and
+ * the sticker encoded again while the file is too large.
+ * @param {string} inputPath - Path to input file
+ * @param {string} outputPath - Path to output file
+ * @param {Object} metadata - ffprobe metadata of the input
+ * @param {Object} options - Conversion options (see runCommand)
+ * @returns {Promise<string>} Path to converted file
+ */
+async function convertToSticker(inputPath, outputPath, metadata, options) {
+  const trim = limitClip(metadata, options, MAX_OUTPUT_SECONDS.sticker, 'Video stickers');
+  const videoStream = (metadata.streams || []).find(stream => stream.codec_type === 'video');
+  const [num, den] = String(videoStream?.avg_frame_rate || '').split('/').map(Number);
+  const fps = num && den ? Math.min(STICKER_MAX_FPS, num / den) : STICKER_MAX_FPS;
+  
+  // Aim for the size limit, leaving room for the container overhead
+  let bitrate = Math.floor(STICKER_MAX_BYTES * 8 * 0.9 / (trim.end - trim.start) / 1000);
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const command = applyTrim(ffmpeg(inputPath), trim)
+      .noAudio()
+      .videoFilters(`scale=${STICKER_SIZE}:${STICKER_SIZE}:force_original_aspect_ratio=decrease:flags=lanczos,fps=${parseFloat(fps.toFixed(3))}`)
+      .videoCodec('libvpx-vp9')
+      .videoBitrate(bitrate)
+      .outputOptions(['-crf 30', '-deadline good', '-cpu-used 4', '-pix_fmt yuva420p'])
+      .format('webm');
     
-    command
-      .on('error', (err) => {
-        console.error('Error converting video:', err);
-        reject(new Error('Failed to convert video'));
-      })
-      .on('end', () => resolve(outputPath))
-      .save(outputPath);
-  });
+    await runCommand(command, outputPath, 'video', { ...options, trim });
+    if (fs.statSync(outputPath).size <= STICKER_MAX_BYTES) {
+      return outputPath;
+    }
+    bitrate = Math.floor(bitrate * 0.6);
+  }
+  
+  cleanupTempFiles([outputPath]);
+  throw new Error('Failed to convert video');
+}
+
+/**
+ * Convert video to a Telegram video note (round video)
+ * The center square of the video is kept, at most 640px and 60 seconds.
+ * @param {string} inputPath - Path to input file
+ * @param {string} outputPath - Path to output file
+ * @param {Object} metadata - ffprobe metadata of the input
+ * @param {Object} options - Conversion options (see runCommand)
+ * @returns {Promise<string>} Path to converted file
+ */
+function convertToVideoNote(inputPath, outputPath, metadata, options) {
+  const geometry = getVideoGeometry(metadata);
+  if (!geometry) {
+    throw new Error('No video stream found');
+  }
+  
+  const trim = limitClip(metadata, options, MAX_OUTPUT_SECONDS.videonote, 'Video notes');
+  const size = Math.min(VIDEO_NOTE_MAX_SIZE, Math.floor(Math.min(geometry.width, geometry.height) / 2) * 2);
+  const command = applyTrim(ffmpeg(inputPath), trim)
+    .videoFilters(`crop='min(iw,ih)':'min(iw,ih)',scale=${size}:${size},setsar=1`)
+    .videoCodec('libx264')
+    .audioCodec('aac')
+    .audioBitrate(128)
+    .outputOptions('-movflags +faststart')
+    .format('mp4');
+  
+  return runCommand(command, outputPath, 'video', { ...options, trim });
+}
+
+/**
+ * Convert video file with custom options chosen in the options wizard
+ * @param {string} inputPath - Path to input file
+ * @param {Object} videoOptions - Container, codec, quality, fps and audio bitrate
+ * @param {Object} [options] - Progress callback, abort signal and trim range (see runCommand)
+ * @returns {Promise<string>} Path to converted file
+ */
+async function convertVideoCustom(inputPath, videoOptions, options = {}) {
+  if (!videoOptionsService.isValidOptions(videoOptions)) {
+    throw new Error('Invalid video options');
+  }
+  
+  const settings = videoOptionsService.getEncoderSettings(videoOptions);
+  const outputFileName = `${path.basename(inputPath, path.extname(inputPath))}_custom${settings.extension}`;
+  const outputPath = path.join(tempDir, outputFileName);
+  const trim = options.trim ? resolveTrim(await probeFile(inputPath), options.trim) : null;
+  
+  let command = applyTrim(ffmpeg(inputPath), trim)
+    .videoCodec(settings.videoCodec)
+    .audioCodec(settings.audioCodec)
+    .audioBitrate(settings.audioBitrate)
+    .outputOptions(settings.outputOptions)
+    .format(settings.format);
+  
+  if (settings.videoBitrate) {
+    command.videoBitrate(settings.videoBitrate);
+  }
+  if (settings.fps) {
+    command.fps(settings.fps);
+  }
+  
+  return runCommand(command, outputPath, 'video', { ...options, trim });
 }
 
 /**
  * Convert audio file to specified format
  * @param {string} inputPath - Path to input file
  * @param {string} format - Target format
+ * @param {Object} [options] - Progress callback, abort signal and trim range (see runCommand)
+ * @param {Object} [options.effects] - Audio effects to apply (see audioEffectsService)
+ * @param {Function} [options.onWarning] - Called with a message when the result differs from what was asked
  * @returns {Promise<string>} Path to converted file
  */
-async function convertAudio(inputPath, format) {
-  const outputFileName = `${path.basename(inputPath, path.extname(inputPath))}.${format}`;
+async function convertAudio(inputPath, format, options = {}) {
+  const settings = AUDIO_FORMATS[format];
+  
+  if (!settings) {
+    throw new Error('Unsupported format');
+  }
+  
+  const extension = settings.extension || format;
+  const outputFileName = `${path.basename(inputPath, path.extname(inputPath))}_${format}.${extension}`;
   const outputPath = path.join(tempDir, outputFileName);
+  const effects = audioEffectsService.hasEffects(options.effects) ? options.effects : null;
   
-  return new Promise((resolve, reject) => {
-    let command = ffmpeg(inputPath);
+  // Only trimmed files or files with effects are probed; a full copy of the same codec would be pointless
+  let trim = null;
+  let canCopy = false;
+  let effectSettings = null;
+  if (options.trim || effects) {
+    const metadata = await probeFile(inputPath);
+    const audioStream = (metadata.streams || []).find(stream => stream.codec_type === 'audio');
+    trim = resolveTrim(metadata, options.trim);
+    canCopy = !effects && audioStream?.codec_name === settings.codec;
     
-    switch (format) {
-      case 'mp3':
-        command.audioCodec('libmp3lame').audioBitrate(192);
-        break;
-      case 'wav':
-        command.audioCodec('pcm_s16le');
-        break;
-      case 'ogg':
-        command.audioCodec('libvorbis').audioBitrate(192);
-        break;
-      default:
-        reject(new Error('Unsupported format'));
-        return;
+    if (effects) {
+      const duration = trim ? trim.end - trim.start : parseFloat(metadata.format?.duration) || null;
+      effectSettings = audioEffectsService.getFilterSettings(effects, {
+        sampleRate: parseInt(audioStream?.sample_rate) || 44100,
+        duration
+      });
+      
+      if (effectSettings.sampleRate && settings.sampleRates && !settings.sampleRates.includes(effectSettings.sampleRate)) {
+        if (options.onWarning) {
+          options.onWarning(`${format.toUpperCase()} does not support ${effectSettings.sampleRate / 1000} kHz, so the sample rate was chosen automatically.`);
+        }
+        effectSettings.sampleRate = null;
+      }
     }
-    
-    command
-      .format(format)
-      .on('error', (err) => {
-        console.error('Error converting audio:', err);
-        reject(new Error('Failed to convert audio'));
-      })
-      .on('end', () => resolve(outputPath))
-      .save(outputPath);
-  });
+  }
+  
+  const buildCommand = (copy) => {
+    const command = applyTrim(ffmpeg(inputPath), trim);
+    if (copy) {
+      command.audioCodec('copy');
+    } else {
+      command.audioCodec(settings.encoder);
+      if (settings.bitrate) {
+        command.audioBitrate(settings.bitrate);
+      }
+      if (effectSettings?.channels || settings.channels) {
+        command.audioChannels(effectSettings?.channels || settings.channels);
+      }
+      if (effectSettings?.sampleRate) {
+        command.audioFrequency(effectSettings.sampleRate);
+      }
+      if (effectSettings?.filters.length) {
+        command.audioFilters(effectSettings.filters);
+      }
+    }
+    return command.format(settings.muxer || format);
+  };
+  
+  return runWithCopyFallback(buildCommand, canCopy, outputPath, 'audio', { ...options, trim });
+}
+
+/**
+ * Get the kind of media in a message
+ * @param {Object} message - Telegram message
+ * @returns {string|undefined} Message field holding the media (e.g., "video", "sticker")
+ */
+function getMessageMediaType(message) {
+  return ['video', 'audio', 'voice', 'video_note', 'animation', 'sticker', 'document']
+    .find(type => message[type]);
+}
+
+/**
+ * Get the file ID of the media in a message
+ * @param {Object} message - Telegram message
+ * @returns {string|undefined} File ID
+ */
+function getMessageFileId(message) {
+  return message[getMessageMediaType(message)]?.file_id;
+}
+
+/**
+ * Convert image file to specified format
+ * Stickers are WebP images with the longer side at 512px.
+ * @param {string} inputPath - Path to input file
+ * @param {string} format - Target format (png, jpeg, webp, avif, sticker)
+ * @param {Object} [options] - Progress callback and abort signal (see runCommand)
+ * @param {string} [options.size] - Size (original, large, medium, small), defaults to original
+ * @param {string} [options.quality] - Quality level (high, medium, low), defaults to high
+ * @returns {Promise<string>} Path to converted file
+ */
+async function convertImage(inputPath, format, options = {}) {
+  const isSticker = format === 'sticker';
+  const settings = IMAGE_FORMATS[isSticker ? 'webp' : format];
+  
+  if (!settings) {
+    throw new Error('Unsupported format');
+  }
+  
+  const outputFileName = `${path.basename(inputPath, path.extname(inputPath))}_${format}${settings.extension}`;
+  const outputPath = path.join(tempDir, outputFileName);
+  
+  const command = ffmpeg(inputPath)
+    .videoCodec(settings.encoder)
+    .outputOptions('-frames:v 1')
+    .format(settings.muxer);
+  
+  if (isSticker) {
+    command.videoFilters(`scale=${IMAGE_STICKER_SIZE}:${IMAGE_STICKER_SIZE}:force_original_aspect_ratio=decrease:flags=lanczos`);
+  } else if (IMAGE_SIZES[options.size]?.pixels) {
+    // Shrink so the longer side fits, never enlarge
+    const size = IMAGE_SIZES[options.size].pixels;
+    command.videoFilters(`scale='min(${size},iw)':'min(${size},ih)':force_original_aspect_ratio=decrease:flags=lanczos`);
+  }
+  
+  if (settings.quality) {
+    const level = IMAGE_QUALITIES[options.quality] ? options.quality : 'high';
+    command.outputOptions(`${settings.quality.option} ${settings.quality[level]}`);
+  }
+  if (settings.outputOptions) {
+    command.outputOptions(settings.outputOptions);
+  }
+  
+  return runCommand(command, outputPath, 'image', options);
 }
 
 /**
  * Upload file to storage channel
+ * Files above the Bot API upload limit are refused before uploading.
  * @param {string} filePath - Path to file
- * @param {string} caption - Caption for the file
- * @returns {Promise<Object>} Message object with file_id
+ * @param {string} caption - Caption for the file (not shown for stickers and video notes)
+ * @param {Object} [options] - Upload options
+ * @param {string} [options.format] - Conversion format; stickers, video notes and voice notes are sent with their own method
+ * @param {string} [options.cacheKey] - Cache key under which the converted file is stored (see cacheService)
+ * @returns {Promise<Object>} Storage channel message and the ID of its storage_files record
  */
-async function uploadToStorageChannel(filePath, caption) {
+async function uploadToStorageChannel(filePath, caption, options = {}) {
+  const fileSize = fs.statSync(filePath).size;
+  if (fileSize > getUploadLimitBytes()) {
+    throw new Error('File too large to upload');
+  }
+  
   try {
     const storageChannelId = process.env.STORAGE_CHANNEL_ID;
     const fileExt = path.extname(filePath).toLowerCase();
+    const uploadType = UPLOAD_TYPES[options.format];
     let message;
     
-    if (['.mp4', '.avi', '.mov', '.mkv'].includes(fileExt)) {
+    if (uploadType === 'sticker') {
+      // Upload as sticker (stickers have no caption)
+      message = await bot.telegram.sendSticker(
+        storageChannelId,
+        { source: filePath }
+      );
+    } else if (uploadType === 'video_note') {
+      // Upload as video note (video notes have no caption)
+      message = await bot.telegram.sendVideoNote(
+        storageChannelId,
+        { source: filePath }
+      );
+    } else if (uploadType === 'voice') {
+      // Upload as voice note
+      message = await bot.telegram.sendVoice(
+        storageChannelId,
+        { source: filePath },
+        { caption }
+      );
+    } else if (fileExt === '.gif') {
+      // Upload as animation
+      message = await bot.telegram.sendAnimation(
+        storageChannelId,
+        { source: filePath },
+        { caption }
+      );
+    } else if (['.mp4', '.avi', '.mov', '.mkv'].includes(fileExt)) {
       // Upload as video
       message = await bot.telegram.sendVideo(
         storageChannelId,
         { source: filePath },
         { caption }
       );
-    } else if (['.mp3', '.wav', '.ogg'].includes(fileExt)) {
+    } else if (['.mp3', '.wav', '.ogg', '.flac', '.aac', '.m4a', '.opus'].includes(fileExt)) {
       // Upload as audio
       message = await bot.telegram.sendAudio(
         storageChannelId,
@@ -184,15 +780,25 @@ async function uploadToStorageChannel(filePath, caption) {
     }
     
     // Store message info in database for later cleanup
-    await conversionsRef.add({
+    const storageFile = {
       message_id: message.message_id,
       chat_id: storageChannelId,
-      file_id: message.video?.file_id || message.audio?.file_id || message.document?.file_id,
-      created_at: admin.firestore.FieldValue.serverTimestamp(),
+      file_id: getMessageFileId(message),
+      media_type: getMessageMediaType(message),
+      file_size: fileSize,
+      cache_key: options.cacheKey || null,
+      created_at: new Date(),
       expires_at: new Date(Date.now() + parseInt(process.env.FILE_DELETE_AFTER_HOURS) * 60 * 60 * 1000)
-    });
+    };
+    const storageFileId = await storageFilesRepo.create(storageFile);
+    
+    // The cache entry expires together with the storage message
+    if (options.cacheKey) {
+      await cacheService.storeResult(options.cacheKey, { id: storageFileId, ...storageFile })
+        .catch(err => console.error('Error caching conversion result:', err));
+    }
     
-    return message;
+    return { message, storageFileId };
   } catch (error) {
     console.error('Error uploading to storage channel:', error);
     throw new Error('Failed to upload file to storage');
@@ -208,27 +814,31 @@ async function cleanupOldFiles() {
     const now = new Date();
     
     // Get expired files
-    const expiredFilesSnapshot = await conversionsRef
-      .where('expires_at', '<=', now)
-      .get();
+    const expiredFiles = await storageFilesRepo.find({
+      where: [['expires_at', '<=', now]]
+    });
     
-    if (expiredFilesSnapshot.empty) {
+    if (expiredFiles.length === 0) {
       return 0;
     }
     
     // Delete files from storage channel
     const deletePromises = [];
-    expiredFilesSnapshot.forEach(doc => {
-      const data = doc.data();
+    expiredFiles.forEach(file => {
       deletePromises.push(
-        bot.telegram.deleteMessage(data.chat_id, data.message_id)
-          .catch(err => console.error(`Failed to delete message ${data.message_id}:`, err))
+        bot.telegram.deleteMessage(file.chat_id, file.message_id)
+          .catch(err => console.error(`Failed to delete message ${file.message_id}:`, err))
       );
-      deletePromises.push(conversionsRef.doc(doc.id).delete());
+      deletePromises.push(storageFilesRepo.delete(file.id));
+      
+      // Never serve a cached file whose storage message is gone
+      if (file.cache_key) {
+        deletePromises.push(cacheService.invalidate(file.cache_key, file.file_id));
+      }
     });
     
     await Promise.all(deletePromises);
-    return expiredFilesSnapshot.size;
+    return expiredFiles.length;
   } catch (error) {
     console.error('Error cleaning up old files:', error);
     throw error;
@@ -252,11 +862,18 @@ function cleanupTempFiles(filePaths) {
 }
 
 module.exports = {
+  IMAGE_SIZES,
+  IMAGE_QUALITIES,
   downloadFile,
   getAvailableFormats,
+  probeFile,
+  probeDuration,
   convertVideo,
+  convertVideoCustom,
   convertAudio,
+  convertImage,
   uploadToStorageChannel,
+  getMessageFileId,
   cleanupOldFiles,
   cleanupTempFiles
 };
\ No newline at end of file
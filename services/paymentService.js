@@ -0,0 +1,256 @@
+const { runTransaction, users: usersRepo, payments: paymentsRepo } = require('../repositories');
+const userService = require('./userService');
+const planService = require('./planService');
+
+// Telegram Stars by default; set a provider token and currency for fiat payments
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'XTR';
+const PAYMENT_PROVIDER_TOKEN = process.env.PAYMENT_PROVIDER_TOKEN || '';
+
+/**
+ * Get the credit packages available for purchase
+ * Packages are configured in CREDIT_PACKAGES as comma-separated
+ * "credits:price" pairs, with price in the smallest currency unit
+ * (stars for XTR, cents for USD). Package IDs ("<credits>_<price>") stay
+ * unique when two packages have the same number of credits.
+ * @returns {Object[]} Array of packages with id, credits and price
+ */
+function getPackages() {
+  const config = process.env.CREDIT_PACKAGES || '50:250,120:500,300:1000';
+  
+  return config.split(',')
+    .map(entry => {
+      const [credits, price] = entry.split(':').map(value => parseInt(value));
+      return { id: `${credits}_${price}`, credits, price };
+    })
+    .filter(pkg => pkg.credits > 0 && pkg.price > 0);
+}
+
+/**
+ * Find a package by ID
+ * @param {string} packageId - Package ID
+ * @returns {Object|null} Package or null if not found
+ */
+function getPackage(packageId) {
+  return getPackages().find(pkg => pkg.id === packageId) || null;
+}
+
+/**
+ * Read the credits and price of a package from its ID
+ * Payments are credited from the ID in the invoice, so a package that was
+ * removed from CREDIT_PACKAGES after the invoice was sent is still honoured.
+ * @param {string} packageId - Package ID ("<credits>_<price>")
+ * @returns {Object|null} Package with id, credits and price, or null if the ID is malformed
+ */
+function parsePackageId(packageId) {
+  const match = /^(\d+)_(\d+)$/.exec(String(packageId));
+  if (!match || !(parseInt(match[1]) > 0)) {
+    return null;
+  }
+  return { id: packageId, credits: parseInt(match[1]), price: parseInt(match[2]) };
+}
+
+/**
+ * Format a package price for display
+ * @param {number} price - Price in the smallest currency unit
+ * @returns {string} Formatted price (e.g., "250 ⭐" or "5.00 USD")
+ */
+function formatPrice(price) {
+  if (PAYMENT_CURRENCY === 'XTR') {
+    return `${price} ⭐`;
+  }
+  return `${(price / 100).toFixed(2)} ${PAYMENT_CURRENCY}`;
+}
+
+/**
+ * Build the invoice for a package
+ * @param {Object} pkg - Package
+ * @param {number} userId - Telegram user ID of the buyer
+ * @returns {Object} Invoice parameters for sendInvoice
+ */
+function buildInvoice(pkg, userId) {
+  return {
+    title: `${pkg.credits} credits`,
+    description: `${pkg.credits} conversion credits for Media Converter Bot`,
+    payload: `credits:${pkg.id}:${userId}`,
+    provider_token: PAYMENT_PROVIDER_TOKEN,
+    currency: PAYMENT_CURRENCY,
+    prices: [{ label: `${pkg.credits} credits`, amount: pkg.price }]
+  };
+}
+
+/**
+ * Build the invoice for a subscription plan
+ * @param {Object} plan - Paid plan
+ * @param {number} userId - Telegram user ID of the buyer
+ * @returns {Object} Invoice parameters for sendInvoice
+ */
+function buildPlanInvoice(plan, userId) {
+  const days = planService.PLAN_DURATION_DAYS;
+  return {
+    title: `${plan.label} plan`,
+    description: `${plan.label} plan for ${days} days: ${plan.dailyLimit} conversions per day, ` +
+      `files up to ${planService.getMaxFileSizeMb(plan)}MB, all formats and priority in the queue`,
+    payload: `plan:${plan.id}:${userId}`,
+    provider_token: PAYMENT_PROVIDER_TOKEN,
+    currency: PAYMENT_CURRENCY,
+    prices: [{ label: `${plan.label} plan (${days} days)`, amount: plan.price }]
+  };
+}
+
+/**
+ * Parse an invoice payload
+ * @param {string} payload - Invoice payload ("credits:<package>:<user>" or "plan:<plan>:<user>")
+ * @returns {Object|null} Object with type, itemId and userId, or null if invalid
+ */
+function parsePayload(payload) {
+  const [type, itemId, userId] = String(payload).split(':');
+  if (!['credits', 'plan'].includes(type) || !itemId || !userId) {
+    return null;
+  }
+  return { type, itemId, userId: parseInt(userId) };
+}
+
+/**
+ * Find the package or paid plan an invoice was issued for
+ * @param {Object} parsed - Parsed invoice payload
+ * @returns {Object|null} Package or plan, or null if it is not for sale
+ */
+function getInvoiceItem(parsed) {
+  if (parsed.type === 'plan') {
+    const plan = planService.getPlan(parsed.itemId);
+    return plan && plan.price > 0 ? plan : null;
+  }
+  return getPackage(parsed.itemId);
+}
+
+/**
+ * Validate a pre-checkout query against the configured packages and plans
+ * @param {Object} query - Telegram pre_checkout_query
+ * @returns {string|null} Error message for the user, or null if valid
+ */
+function validatePreCheckout(query) {
+  const parsed = parsePayload(query.invoice_payload);
+  if (!parsed || parsed.userId !== query.from.id) {
+    return 'This invoice is not valid. Please use /buy or /plan to get a new one.';
+  }
+  
+  const item = getInvoiceItem(parsed);
+  if (!item || item.price !== query.total_amount || query.currency !== PAYMENT_CURRENCY) {
+    const command = parsed.type === 'plan' ? '/plan' : '/buy';
+    return `This ${parsed.type === 'plan' ? 'plan' : 'package'} is no longer available. Please use ${command} to get a new invoice.`;
+  }
+  
+  return null;
+}
+
+/**
+ * Activate or renew a purchased plan and store the payment receipt
+ * Both happen in one transaction, so a payment delivered twice only extends
+ * the plan once.
+ * @param {number} userId - Telegram user ID
+ * @param {Object} plan - Purchased plan
+ * @param {Object} payment - Telegram successful_payment object
+ * @returns {Promise<Object>} Object with type, plan, expiresAt and duplicate flag
+ */
+async function processPlanPayment(userId, plan, payment) {
+  const chargeId = payment.telegram_payment_charge_id;
+  
+  return runTransaction(async (transaction) => {
+    const receipt = await transaction.get(paymentsRepo, chargeId);
+    if (receipt) {
+      return { type: 'plan', plan, expiresAt: receipt.plan_expires_at, duplicate: true };
+    }
+    
+    const user = await transaction.get(usersRepo, String(userId));
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    const expiresAt = planService.getRenewedExpiry(user, plan);
+    transaction.update(usersRepo, String(userId), {
+      plan: plan.id,
+      plan_expires_at: expiresAt
+    });
+    transaction.set(paymentsRepo, chargeId, {
+      user_id: userId,
+      plan_id: plan.id,
+      plan_expires_at: expiresAt,
+      currency: payment.currency,
+      total_amount: payment.total_amount,
+      invoice_payload: payment.invoice_payload,
+      telegram_payment_charge_id: chargeId,
+      provider_payment_charge_id: payment.provider_payment_charge_id || null,
+      created_at: new Date()
+    });
+    
+    return { type: 'plan', plan, expiresAt, duplicate: false };
+  });
+}
+
+/**
+ * Credit a successful payment (or activate the purchased plan) and store its receipt
+ * Safe to call more than once for the same payment: the receipt and the
+ * ledger entry are both keyed by the Telegram charge ID. The user has
+ * already been charged, so the purchase is applied as invoiced even if the
+ * package or plan price changed since, and the buyer's account is created
+ * if it does not exist.
+ * @param {number} userId - Telegram user ID
+ * @param {Object} payment - Telegram successful_payment object
+ * @returns {Promise<Object>} Object with type ("credits" or "plan"), duplicate flag and
+ *   either credits and balance or plan and expiresAt
+ */
+async function processSuccessfulPayment(userId, payment) {
+  await userService.getOrCreateUser(userId);
+  
+  const parsed = parsePayload(payment.invoice_payload);
+  if (parsed && parsed.type === 'plan') {
+    const plan = planService.getPlan(parsed.itemId);
+    if (!plan) {
+      throw new Error('Unknown plan');
+    }
+    return processPlanPayment(userId, plan, payment);
+  }
+  
+  const chargeId = payment.telegram_payment_charge_id;
+  const receipt = await paymentsRepo.get(chargeId);
+  
+  if (receipt) {
+    return { type: 'credits', credits: receipt.credits, balance: null, duplicate: true };
+  }
+  
+  const pkg = parsed && parsePackageId(parsed.itemId);
+  if (!pkg) {
+    throw new Error('Invalid invoice payload');
+  }
+  
+  const balance = await userService.updateCredits(userId, pkg.credits, {
+    type: 'purchase',
+    description: `Purchased ${pkg.credits} credits`,
+    reference: chargeId,
+    transactionId: `purchase_${chargeId}`
+  });
+  
+  await paymentsRepo.set(chargeId, {
+    user_id: userId,
+    package_id: pkg.id,
+    credits: pkg.credits,
+    currency: payment.currency,
+    total_amount: payment.total_amount,
+    invoice_payload: payment.invoice_payload,
+    telegram_payment_charge_id: chargeId,
+    provider_payment_charge_id: payment.provider_payment_charge_id || null,
+    created_at: new Date()
+  });
+  
+  return { type: 'credits', credits: pkg.credits, balance, duplicate: false };
+}
+
+module.exports = {
+  getPackages,
+  getPackage,
+  formatPrice,
+  buildInvoice,
+  buildPlanInvoice,
+  validatePreCheckout,
+  processSuccessfulPayment
+};
@@ -0,0 +1,150 @@
+const { users: usersRepo } = require('../repositories');
+const { getDownloadLimitMb } = require('../utils/botApi');
+
+/**
+ * Subscription plans
+ * Every user is on the free plan unless they bought a paid plan that has
+ * not expired yet. The free plan keeps the limits configured with
+ * DAILY_LIMIT and MAX_FILE_SIZE_MB; paid plan prices are configured with
+ * PLAN_PRO_PRICE and PLAN_BUSINESS_PRICE (smallest currency unit, like
+ * credit packages). File sizes are always capped at what the Bot API can
+ * download.
+ */
+
+// Days a plan purchase lasts
+const PLAN_DURATION_DAYS = parseInt(process.env.PLAN_DURATION_DAYS) || 30;
+
+// Plans in ascending order; formats lists the allowed formats per file type
+// (null allows every format), priority orders jobs in the queue
+const PLANS = {
+  free: {
+    id: 'free',
+    label: 'Free',
+    dailyLimit: parseInt(process.env.DAILY_LIMIT) || 20,
+    maxFileSizeMb: parseInt(process.env.MAX_FILE_SIZE_MB) || 20,
+    formats: {
+      video: ['360p', '480p', '720p', 'mp3', 'gif', 'videonote'],
+      audio: ['mp3', 'wav', 'ogg', 'aac', 'm4a', 'voice'],
+      image: ['png', 'jpeg', 'webp', 'sticker']
+    },
+    priority: 0,
+    price: 0
+  },
+  pro: {
+    id: 'pro',
+    label: 'Pro',
+    dailyLimit: 100,
+    maxFileSizeMb: 200,
+    formats: null,
+    priority: 1,
+    price: parseInt(process.env.PLAN_PRO_PRICE) || 500
+  },
+  business: {
+    id: 'business',
+    label: 'Business',
+    dailyLimit: 1000,
+    maxFileSizeMb: 2000,
+    formats: null,
+    priority: 2,
+    price: parseInt(process.env.PLAN_BUSINESS_PRICE) || 2000
+  }
+};
+
+/**
+ * Get all plans
+ * @returns {Object[]} Plans in ascending order
+ */
+function getPlans() {
+  return Object.values(PLANS);
+}
+
+/**
+ * Find a plan by ID
+ * @param {string} planId - Plan ID
+ * @returns {Object|null} Plan or null if not found
+ */
+function getPlan(planId) {
+  return PLANS[planId] || null;
+}
+
+/**
+ * Get the plan a user is currently on
+ * Expired paid plans fall back to the free plan.
+ * @param {Object|null} user - User record
+ * @returns {Object} Plan with expiresAt (null for the free plan)
+ */
+function getUserPlan(user) {
+  const plan = user && getPlan(user.plan);
+  if (!plan || plan.id === 'free' || !user.plan_expires_at || user.plan_expires_at <= new Date()) {
+    return { ...PLANS.free, expiresAt: null };
+  }
+  return { ...plan, expiresAt: user.plan_expires_at };
+}
+
+/**
+ * Load a user and get their current plan
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<Object>} Plan (see getUserPlan)
+ */
+async function getPlanForUser(userId) {
+  return getUserPlan(await usersRepo.get(String(userId)));
+}
+
+/**
+ * Get the largest file a plan accepts
+ * @param {Object} plan - Plan
+ * @returns {number} Size in MB
+ */
+function getMaxFileSizeMb(plan) {
+  return Math.min(plan.maxFileSizeMb, getDownloadLimitMb());
+}
+
+/**
+ * Check whether a plan allows a conversion format
+ * @param {Object} plan - Plan
+ * @param {string} fileType - Type of file (video, audio, image)
+ * @param {string} format - Target format, or "custom" for custom video options
+ * @returns {boolean} True if the format is allowed
+ */
+function isFormatAllowed(plan, fileType, format) {
+  if (!plan.formats) {
+    return true;
+  }
+  return (plan.formats[fileType] || []).includes(format);
+}
+
+/**
+ * Find the cheapest plan above the given one that satisfies a condition
+ * @param {Object} plan - Current plan
+ * @param {Function} predicate - Called with each higher plan
+ * @returns {Object|null} Plan to upgrade to, or null if none qualifies
+ */
+function findUpgrade(plan, predicate) {
+  return getPlans().find(candidate => candidate.priority > plan.priority && predicate(candidate)) || null;
+}
+
+/**
+ * Get the expiry date of a user's plan after buying a paid plan
+ * Renewing the active plan extends it from its current expiry date; any
+ * other purchase starts from now.
+ * @param {Object|null} user - User record
+ * @param {Object} plan - Purchased plan
+ * @returns {Date} New expiry date
+ */
+function getRenewedExpiry(user, plan) {
+  const current = getUserPlan(user);
+  const start = current.id === plan.id ? current.expiresAt : new Date();
+  return new Date(start.getTime() + PLAN_DURATION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  PLAN_DURATION_DAYS,
+  getPlans,
+  getPlan,
+  getUserPlan,
+  getPlanForUser,
+  getMaxFileSizeMb,
+  isFormatAllowed,
+  findUpgrade,
+  getRenewedExpiry
+};
@@ -0,0 +1,93 @@
+const { presets: presetsRepo } = require('../repositories');
+const videoOptionsService = require('./videoOptionsService');
+
+// Maximum number of saved presets per user
+const MAX_PRESETS_PER_USER = parseInt(process.env.MAX_PRESETS_PER_USER) || 10;
+
+// Maximum length of a preset name
+const MAX_PRESET_NAME_LENGTH = 32;
+
+/**
+ * Get the saved presets of a user
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<Object[]>} Presets, oldest first
+ */
+async function getUserPresets(userId) {
+  return presetsRepo.find({
+    where: [['user_id', '==', userId]],
+    orderBy: ['created_at', 'asc']
+  });
+}
+
+/**
+ * Get a preset owned by a user
+ * @param {number} userId - Telegram user ID
+ * @param {string} presetId - Preset ID
+ * @returns {Promise<Object|null>} Preset or null if not found
+ */
+async function getPreset(userId, presetId) {
+  const preset = await presetsRepo.get(presetId);
+  return preset && preset.user_id === userId ? preset : null;
+}
+
+/**
+ * Save video options as a named preset
+ * A preset with the same name is overwritten.
+ * @param {number} userId - Telegram user ID
+ * @param {string} name - Preset name
+ * @param {Object} options - Video options
+ * @returns {Promise<string>} Preset ID
+ */
+async function savePreset(userId, name, options) {
+  const presetName = name.trim();
+  if (!presetName || presetName.length > MAX_PRESET_NAME_LENGTH) {
+    throw new Error('Invalid preset name');
+  }
+  if (!videoOptionsService.isValidOptions(options)) {
+    throw new Error('Invalid video options');
+  }
+  
+  const presets = await getUserPresets(userId);
+  const existing = presets.find(preset => preset.name.toLowerCase() === presetName.toLowerCase());
+  
+  if (existing) {
+    await presetsRepo.update(existing.id, { options, updated_at: new Date() });
+    return existing.id;
+  }
+  
+  if (presets.length >= MAX_PRESETS_PER_USER) {
+    throw new Error('Preset limit reached');
+  }
+  
+  return presetsRepo.create({
+    user_id: userId,
+    name: presetName,
+    options,
+    created_at: new Date()
+  });
+}
+
+/**
+ * Delete a preset owned by a user
+ * @param {number} userId - Telegram user ID
+ * @param {string} presetId - Preset ID
+ * @returns {Promise<boolean>} True if the preset was deleted
+ */
+async function deletePreset(userId, presetId) {
+  const preset = await getPreset(userId, presetId);
+  if (!preset) {
+    return false;
+  }
+  
+  await presetsRepo.delete(presetId);
+  return true;
+}
+
+module.exports = {
+  MAX_PRESETS_PER_USER,
+  MAX_PRESET_NAME_LENGTH,
+  getUserPresets,
+  getPreset,
+  savePreset,
+  deletePreset
+};
@@ -0,0 +1,164 @@
+const { MAX_OUTPUT_SECONDS } = require('../utils/mediaInfo');
+
+/**
+ * Conversion pricing
+ * A conversion costs CREDIT_PER_CONVERSION plus a share for the length of
+ * the media and the size of the input file:
+ *
+ *   base + weight × minutes × PRICE_PER_MINUTE + input MB × PRICE_PER_MB
+ *
+ * rounded to whole credits and never less than the base. The weight depends
+ * on the target format, so a 1080p encode costs more per minute than
+ * extracting MP3. Custom video settings keep the source resolution; they
+ * weigh as much as their codec times the resolution weight of the source
+ * relative to 720p. Weights can be
+ * overridden with PRICE_WEIGHTS as comma-separated "key:weight" pairs, e.g.
+ * "video.1080p:3,codec.av1aom:5".
+ */
+
+const PRICE_PER_MINUTE = parseFloat(process.env.PRICE_PER_MINUTE) || 0.2;
+const PRICE_PER_MB = parseFloat(process.env.PRICE_PER_MB) || 0.02;
+
+// Weight of a minute of media per target format ("<file type>.<format>")
+// or custom video codec ("codec.<codec>"); formats not listed weigh 1
+const DEFAULT_WEIGHTS = {
+  'video.360p': 0.5,
+  'video.480p': 0.75,
+  'video.720p': 1,
+  'video.1080p': 2,
+  'video.mp3': 0.25,
+  'video.gif': 1,
+  'video.sticker': 0.5,
+  'video.videonote': 0.5,
+  'audio.mp3': 0.25,
+  'audio.wav': 0.25,
+  'audio.ogg': 0.25,
+  'audio.flac': 0.25,
+  'audio.aac': 0.25,
+  'audio.m4a': 0.25,
+  'audio.opus': 0.25,
+  'audio.voice': 0.25,
+  'codec.h264': 1,
+  'codec.h265': 2,
+  'codec.vp9': 2,
+  'codec.av1aom': 4,
+  'codec.av1svt': 2
+};
+
+// Resolution formats, by short side in pixels, used to weigh custom video settings
+const RESOLUTIONS = [360, 480, 720, 1080];
+const REFERENCE_RESOLUTION = 720;
+
+/**
+ * Get the pricing weights, with PRICE_WEIGHTS overrides applied
+ * @returns {Object} Weights keyed by "<file type>.<format>" or "codec.<codec>"
+ */
+function getWeights() {
+  const overrides = (process.env.PRICE_WEIGHTS || '').split(',')
+    .map(entry => entry.split(':'))
+    .filter(([key, weight]) => key && !Number.isNaN(parseFloat(weight)))
+    .map(([key, weight]) => [key.trim(), parseFloat(weight)]);
+  
+  return { ...DEFAULT_WEIGHTS, ...Object.fromEntries(overrides) };
+}
+
+/**
+ * Get the base price of a conversion
+ * @returns {number} Credits
+ */
+function getBasePrice() {
+  return parseInt(process.env.CREDIT_PER_CONVERSION) || 1;
+}
+
+/**
+ * Get the length of media that will be converted
+ * GIFs, stickers and video notes are cut to their maximum length, so
+ * they are never billed for more.
+ * @param {Object} file - File with file_type, duration and optional trim range
+ * @param {string} format - Target format
+ * @returns {number} Duration in seconds (0 if unknown)
+ */
+function getBilledDuration(file, format) {
+  const duration = file.duration || 0;
+  let length = duration;
+  if (file.trim) {
+    const end = duration ? Math.min(file.trim.end, duration) : file.trim.end;
+    length = Math.max(end - file.trim.start, 0);
+  }
+  
+  const maxSeconds = file.file_type === 'video' ? MAX_OUTPUT_SECONDS[format] : undefined;
+  return maxSeconds ? Math.min(length, maxSeconds) : length;
+}
+
+/**
+ * Get the weight of encoding a video at its own resolution, relative to 720p
+ * The source is weighted like the smallest resolution format that covers its
+ * short side (or the largest one); sources of unknown size weigh 1.
+ * @param {Object} file - File with optional width and height from Telegram
+ * @param {Object} weights - Pricing weights
+ * @returns {number} Resolution factor
+ */
+function getResolutionFactor(file, weights) {
+  if (!file.width || !file.height) {
+    return 1;
+  }
+  
+  const shortSide = Math.min(file.width, file.height);
+  const resolution = RESOLUTIONS.find(value => value >= shortSide) || RESOLUTIONS[RESOLUTIONS.length - 1];
+  const weightOf = value => {
+    const key = `video.${value}p`;
+    return key in weights ? weights[key] : 1;
+  };
+  
+  return weightOf(resolution) / weightOf(REFERENCE_RESOLUTION);
+}
+
+/**
+ * Compute the price of converting a file
+ * @param {Object} file - Upload or batch file with file_type, file_size, duration, optional width,
+ *   height and trim
+ * @param {string} format - Target format, or "custom" for custom video options
+ * @param {Object} [videoOptions] - Custom video options (for the codec weight)
+ * @returns {number} Price in credits
+ */
+function getPrice(file, format, videoOptions = null) {
+  const weights = getWeights();
+  const custom = format === 'custom' && videoOptions;
+  const key = custom ? `codec.${videoOptions.codec}` : `${file.file_type}.${format}`;
+  let weight = key in weights ? weights[key] : 1;
+  if (custom) {
+    weight *= getResolutionFactor(file, weights);
+  }
+  
+  const minutes = file.file_type === 'image' ? 0 : getBilledDuration(file, format) / 60;
+  const sizeMb = (file.file_size || 0) / (1024 * 1024);
+  const base = getBasePrice();
+  
+  return Math.max(base, Math.round(base + weight * minutes * PRICE_PER_MINUTE + sizeMb * PRICE_PER_MB));
+}
+
+/**
+ * Compute the price of converting every file of a batch
+ * @param {Object} upload - Batch upload with file_type, files and conversion settings
+ * @param {string} format - Target format
+ * @returns {number[]} Price of each file in credits, in the order of upload.files
+ */
+function getBatchPrices(upload, format) {
+  return upload.files.map(file => getPrice({ ...file, file_type: upload.file_type }, format));
+}
+
+/**
+ * Format a number of credits for display
+ * @param {number} credits - Credits
+ * @returns {string} Formatted credits (e.g., "1 credit", "3 credits")
+ */
+function formatCredits(credits) {
+  return `${credits} credit${credits === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  getBasePrice,
+  getPrice,
+  getBatchPrices,
+  formatCredits
+};
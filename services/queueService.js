@@ -0,0 +1,218 @@
+const { increment, jobs: jobsRepo } = require('../repositories');
+
+// Worker pool limits
+const MAX_WORKERS = parseInt(process.env.MAX_WORKERS) || 2;
+const MAX_JOBS_PER_USER = parseInt(process.env.MAX_JOBS_PER_USER) || 1;
+const MAX_QUEUED_PER_USER = parseInt(process.env.MAX_QUEUED_PER_USER) || 5;
+
+// Jobs waiting for a worker, by priority and then in FIFO order
+const pendingJobs = [];
+
+// Jobs currently being processed, keyed by job ID
+const runningJobs = new Map();
+
+// Abort controllers of running jobs, keyed by job ID
+const jobControllers = new Map();
+
+let jobProcessor = null;
+
+/**
+ * Count queued and running jobs of a user
+ * @param {number} userId - Telegram user ID
+ * @returns {Object} Object with queued and running counts
+ */
+function countUserJobs(userId) {
+  const queued = pendingJobs.filter(job => job.user_id === userId).length;
+  const running = [...runningJobs.values()].filter(job => job.user_id === userId).length;
+  return { queued, running };
+}
+
+/**
+ * Get position of a job in the queue
+ * @param {string} jobId - Job ID
+ * @returns {number} 1-based position, or 0 if the job is not waiting
+ */
+function getQueuePosition(jobId) {
+  return pendingJobs.findIndex(job => job.id === jobId) + 1;
+}
+
+/**
+ * Compare two pending jobs: higher priority first, then older first
+ * @param {Object} a - Job data
+ * @param {Object} b - Job data
+ * @returns {number} Sort order
+ */
+function compareJobs(a, b) {
+  return (b.priority || 0) - (a.priority || 0) || a.enqueued_at - b.enqueued_at;
+}
+
+/**
+ * Add a conversion job to the queue
+ * Jobs are placed behind all waiting jobs of the same or higher priority.
+ * @param {Object} jobData - Job data (must contain user_id; priority defaults to 0)
+ * @returns {Promise<Object>} Object with job ID and queue position
+ */
+async function enqueue(jobData) {
+  const { queued, running } = countUserJobs(jobData.user_id);
+  if (queued + running >= MAX_QUEUED_PER_USER) {
+    throw new Error('Queue limit reached');
+  }
+  
+  const job = {
+    ...jobData,
+    status: 'queued',
+    attempts: 0,
+    enqueued_at: Date.now(),
+    created_at: new Date()
+  };
+  
+  const jobId = await jobsRepo.create(job);
+  const index = pendingJobs.findIndex(pending => compareJobs(job, pending) < 0);
+  pendingJobs.splice(index === -1 ? pendingJobs.length : index, 0, { id: jobId, ...job });
+  processQueue();
+  
+  return { id: jobId, position: getQueuePosition(jobId) };
+}
+
+/**
+ * Start as many pending jobs as the worker pool and per-user caps allow
+ */
+function processQueue() {
+  if (!jobProcessor) {
+    return;
+  }
+  
+  while (runningJobs.size < MAX_WORKERS) {
+    const index = pendingJobs.findIndex(
+      job => countUserJobs(job.user_id).running < MAX_JOBS_PER_USER
+    );
+    if (index === -1) {
+      break;
+    }
+    
+    const [job] = pendingJobs.splice(index, 1);
+    runJob(job);
+  }
+}
+
+/**
+ * Run a single job and record its outcome
+ * @param {Object} job - Job data
+ */
+async function runJob(job) {
+  const controller = new AbortController();
+  runningJobs.set(job.id, job);
+  jobControllers.set(job.id, controller);
+  
+  try {
+    await jobsRepo.update(job.id, {
+      status: 'processing',
+      attempts: increment(1),
+      started_at: new Date()
+    });
+    
+    await jobProcessor(job, controller.signal);
+    
+    await jobsRepo.update(job.id, {
+      status: 'completed',
+      finished_at: new Date()
+    });
+  } catch (error) {
+    const cancelled = controller.signal.aborted;
+    if (!cancelled) {
+      console.error(`Error processing job ${job.id}:`, error);
+    }
+    await jobsRepo.update(job.id, {
+      status: cancelled ? 'cancelled' : 'failed',
+      error: cancelled ? null : error.message,
+      finished_at: new Date()
+    }).catch(err => console.error(`Failed to update job ${job.id}:`, err));
+  } finally {
+    runningJobs.delete(job.id);
+    jobControllers.delete(job.id);
+    processQueue();
+  }
+}
+
+/**
+ * Find a queued or running job
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job data or null if the job is not active
+ */
+function getActiveJob(jobId) {
+  return pendingJobs.find(job => job.id === jobId) || runningJobs.get(jobId) || null;
+}
+
+/**
+ * Cancel a queued or running job
+ * Queued jobs are removed from the queue; running jobs are aborted and
+ * the processor is responsible for stopping its work and cleaning up.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Object with the job and whether it was running, or null if not active
+ */
+async function cancelJob(jobId) {
+  const index = pendingJobs.findIndex(job => job.id === jobId);
+  if (index !== -1) {
+    const [job] = pendingJobs.splice(index, 1);
+    await jobsRepo.update(jobId, {
+      status: 'cancelled',
+      finished_at: new Date()
+    });
+    return { job, running: false };
+  }
+  
+  const controller = jobControllers.get(jobId);
+  if (controller) {
+    controller.abort();
+    return { job: runningJobs.get(jobId), running: true };
+  }
+  
+  return null;
+}
+
+/**
+ * Cancel all queued and running jobs of a user
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<Object[]>} Results of cancelJob for each cancelled job
+ */
+async function cancelUserJobs(userId) {
+  const jobIds = [...pendingJobs, ...runningJobs.values()]
+    .filter(job => job.user_id === userId)
+    .map(job => job.id);
+  
+  const results = await Promise.all(jobIds.map(cancelJob));
+  return results.filter(Boolean);
+}
+
+/**
+ * Restore unfinished jobs from the database and start processing
+ * @param {Function} processor - Async function called with each job and an AbortSignal
+ * @returns {Promise<number>} Number of restored jobs
+ */
+async function start(processor) {
+  jobProcessor = processor;
+  
+  // Jobs that were processing when the bot stopped are run again
+  const unfinishedJobs = await jobsRepo.find({
+    where: [['status', 'in', ['queued', 'processing']]]
+  });
+  
+  const restoredJobs = unfinishedJobs
+    .map(job => ({ ...job, status: 'queued' }))
+    .filter(job => !pendingJobs.some(pending => pending.id === job.id));
+  
+  pendingJobs.push(...restoredJobs);
+  pendingJobs.sort(compareJobs);
+  processQueue();
+  
+  return restoredJobs.length;
+}
+
+module.exports = {
+  enqueue,
+  start,
+  getQueuePosition,
+  getActiveJob,
+  cancelJob,
+  cancelUserJobs
+};
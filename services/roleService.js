@@ -0,0 +1,139 @@
+const { roles: rolesRepo } = require('../repositories');
+
+/**
+ * Staff roles and permissions
+ * Roles are stored in the roles collection, keyed by user ID. Users listed
+ * in ADMIN_ID (comma-separated) are always owners, so the bot can never be
+ * left without someone who can grant roles.
+ */
+
+// Roles from least to most privileged
+const ROLE_LEVELS = {
+  support: 1,
+  admin: 2,
+  owner: 3
+};
+
+// Least privileged role that holds each permission
+const PERMISSIONS = {
+  'stats.view': 'support',
+  'audit.view': 'admin',
+  'credits.manage': 'admin',
+  'users.view': 'support',
+  'users.reset': 'admin',
+  'users.ban': 'admin',
+  'roles.view': 'admin',
+  'broadcast.send': 'admin',
+  'roles.manage': 'owner'
+};
+
+/**
+ * Get the user IDs configured as owners in ADMIN_ID
+ * @returns {string[]} Owner user IDs
+ */
+function getConfiguredOwners() {
+  return (process.env.ADMIN_ID || '').split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a role name exists
+ * @param {string} role - Role name
+ * @returns {boolean} True if the role exists
+ */
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role);
+}
+
+/**
+ * Get the role of a user
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<string|null>} Role name, or null for regular users
+ */
+async function getRole(userId) {
+  if (getConfiguredOwners().includes(String(userId))) {
+    return 'owner';
+  }
+  
+  const record = await rolesRepo.get(String(userId));
+  return record && isValidRole(record.role) ? record.role : null;
+}
+
+/**
+ * Check whether a role holds a permission
+ * @param {string|null} role - Role name
+ * @param {string} permission - Permission name (see PERMISSIONS)
+ * @returns {boolean} True if the role holds the permission
+ */
+function hasPermission(role, permission) {
+  const required = PERMISSIONS[permission];
+  if (!role || !required) {
+    return false;
+  }
+  return ROLE_LEVELS[role] >= ROLE_LEVELS[required];
+}
+
+/**
+ * Grant a role to a user, replacing their current role
+ * @param {number} userId - Telegram user ID
+ * @param {string} role - Role name
+ * @param {number} grantedBy - Telegram user ID of the owner granting the role
+ * @returns {Promise<void>}
+ */
+async function grantRole(userId, role, grantedBy) {
+  if (!isValidRole(role)) {
+    throw new Error('Unknown role');
+  }
+  if (getConfiguredOwners().includes(String(userId))) {
+    throw new Error('Configured owner');
+  }
+  
+  await rolesRepo.set(String(userId), {
+    user_id: userId,
+    role,
+    granted_by: grantedBy,
+    granted_at: new Date()
+  });
+}
+
+/**
+ * Revoke the role of a user
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<string|null>} Revoked role, or null if the user had none
+ */
+async function revokeRole(userId) {
+  if (getConfiguredOwners().includes(String(userId))) {
+    throw new Error('Configured owner');
+  }
+  
+  const record = await rolesRepo.get(String(userId));
+  if (!record) {
+    return null;
+  }
+  
+  await rolesRepo.delete(String(userId));
+  return record.role;
+}
+
+/**
+ * List all staff members
+ * @returns {Promise<Object[]>} Staff with user_id and role, most privileged first
+ */
+async function getStaff() {
+  const owners = getConfiguredOwners().map(id => ({ user_id: parseInt(id), role: 'owner', configured: true }));
+  const granted = await rolesRepo.find();
+  
+  return [...owners, ...granted.filter(record => isValidRole(record.role))]
+    .sort((a, b) => ROLE_LEVELS[b.role] - ROLE_LEVELS[a.role]);
+}
+
+module.exports = {
+  ROLE_LEVELS,
+  isValidRole,
+  getRole,
+  hasPermission,
+  grantRole,
+  revokeRole,
+  getStaff
+};
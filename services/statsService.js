@@ -0,0 +1,220 @@
+const { runTransaction, increment, stats: statsRepo, users: usersRepo } = require('../repositories');
+
+/**
+ * Aggregated bot statistics
+ * Events are counted in one document per UTC day in the stats collection
+ * (ID and date field "YYYY-MM-DD"), so /stats reads at most a month of
+ * small documents instead of scanning users and conversions. Formats are
+ * counted in format_<format> fields of the same documents.
+ */
+
+// Days covered by /stats
+const STATS_DAYS = 28;
+
+const FORMAT_PREFIX = 'format_';
+
+/**
+ * Get the stats document ID of a day
+ * @param {Date} date - Any time during the day
+ * @returns {string} Day in UTC (e.g., "2024-05-01")
+ */
+function getDayId(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add to the counters of the current day
+ * Statistics must never break the action they describe, so errors are
+ * logged instead of thrown.
+ * @param {Object} counters - Amounts to add, keyed by counter name
+ * @returns {Promise<void>}
+ */
+async function record(counters) {
+  const dayId = getDayId(new Date());
+  
+  try {
+    await runTransaction(async (transaction) => {
+      const day = await transaction.get(statsRepo, dayId);
+      
+      if (day) {
+        const patch = {};
+        for (const [name, amount] of Object.entries(counters)) {
+          patch[name] = increment(amount);
+        }
+        transaction.update(statsRepo, dayId, patch);
+      } else {
+        transaction.set(statsRepo, dayId, { date: dayId, ...counters });
+      }
+    });
+  } catch (error) {
+    console.error('Error recording stats:', error);
+  }
+}
+
+/**
+ * Count a delivered conversion
+ * @param {string} format - Target format
+ * @param {number|null} processingMs - Download and conversion time, or null for cache hits
+ * @returns {Promise<void>}
+ */
+async function recordConversion(format, processingMs) {
+  const counters = {
+    conversions: 1,
+    [FORMAT_PREFIX + String(format).replace(/[^a-zA-Z0-9]/g, '_')]: 1
+  };
+  
+  if (processingMs === null) {
+    counters.cache_hits = 1;
+  } else {
+    counters.processed = 1;
+    counters.processing_ms = processingMs;
+  }
+  
+  await record(counters);
+}
+
+/**
+ * Count a conversion that failed (cancelled ones are not failures)
+ * @returns {Promise<void>}
+ */
+async function recordFailure() {
+  await record({ failures: 1 });
+}
+
+/**
+ * Count credits given to users (signup, referrals, purchases, admins)
+ * @param {number} amount - Credits issued
+ * @returns {Promise<void>}
+ */
+async function recordCreditsIssued(amount) {
+  if (amount > 0) {
+    await record({ credits_issued: amount });
+  }
+}
+
+/**
+ * Count credits charged for delivered conversions
+ * @param {number} amount - Credits spent
+ * @returns {Promise<void>}
+ */
+async function recordCreditsSpent(amount) {
+  if (amount > 0) {
+    await record({ credits_spent: amount });
+  }
+}
+
+/**
+ * Count a new user
+ * @returns {Promise<void>}
+ */
+async function recordNewUser() {
+  await record({ new_users: 1 });
+}
+
+/**
+ * Count a user who joined through a referral link
+ * @returns {Promise<void>}
+ */
+async function recordReferral() {
+  await record({ referrals: 1 });
+}
+
+/**
+ * Get the counters of recent days
+ * @param {number} days - Number of days, including today
+ * @returns {Promise<Object[]>} One entry per day, oldest first; days without events have no counters
+ */
+async function getDailyStats(days) {
+  const from = new Date();
+  from.setUTCDate(from.getUTCDate() - (days - 1));
+  
+  const records = await statsRepo.find({
+    where: [['date', '>=', getDayId(from)]]
+  });
+  const byDay = new Map(records.map(record => [record.date, record]));
+  
+  const result = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(from);
+    date.setUTCDate(from.getUTCDate() + i);
+    const dayId = getDayId(date);
+    result.push(byDay.get(dayId) || { date: dayId });
+  }
+  return result;
+}
+
+/**
+ * Add up a counter over several days
+ * @param {Object[]} days - Daily stats
+ * @param {string} name - Counter name
+ * @returns {number} Total
+ */
+function sum(days, name) {
+  return days.reduce((total, day) => total + (day[name] || 0), 0);
+}
+
+/**
+ * Get the statistics shown by /stats
+ * @returns {Promise<Object>} User counts, daily and weekly conversions, top formats, failures,
+ *   average processing time, credits and signups for the last STATS_DAYS days
+ */
+async function getStats() {
+  const sevenDaysAgo = new Date();
+  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+  
+  const totalUsers = await usersRepo.count();
+  const activeUsers = await usersRepo.count([
+    ['last_activity', '>=', sevenDaysAgo]
+  ]);
+  const days = await getDailyStats(STATS_DAYS);
+  
+  const weeks = [];
+  for (let i = 0; i < days.length; i += 7) {
+    const week = days.slice(i, i + 7);
+    weeks.push({ from: week[0].date, conversions: sum(week, 'conversions') });
+  }
+  
+  const formats = {};
+  for (const day of days) {
+    for (const [name, count] of Object.entries(day)) {
+      if (name.startsWith(FORMAT_PREFIX)) {
+        const format = name.slice(FORMAT_PREFIX.length);
+        formats[format] = (formats[format] || 0) + count;
+      }
+    }
+  }
+  
+  const conversions = sum(days, 'conversions');
+  const failures = sum(days, 'failures');
+  const processed = sum(days, 'processed');
+  
+  return {
+    periodDays: STATS_DAYS,
+    totalUsers,
+    activeUsers,
+    daily: days.slice(-7).map(day => ({ date: day.date, conversions: day.conversions || 0 })),
+    weekly: weeks,
+    conversions,
+    cacheHits: sum(days, 'cache_hits'),
+    topFormats: Object.entries(formats)
+      .map(([format, count]) => ({ format, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 5),
+    failures,
+    averageProcessingMs: processed > 0 ? sum(days, 'processing_ms') / processed : null,
+    creditsIssued: sum(days, 'credits_issued'),
+    creditsSpent: sum(days, 'credits_spent'),
+    newUsers: sum(days, 'new_users'),
+    referrals: sum(days, 'referrals')
+  };
+}
+
+module.exports = {
+  recordConversion,
+  recordFailure,
+  recordCreditsIssued,
+  recordCreditsSpent,
+  recordNewUser,
+  recordReferral,
+  getStats
+};
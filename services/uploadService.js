@@ -0,0 +1,123 @@
+const { runTransaction, uploads: uploadsRepo } = require('../repositories');
+const { generateRandomString } = require('../utils/helpers');
+
+// Hours after which a format keyboard stops working
+const UPLOAD_TTL_HOURS = parseInt(process.env.UPLOAD_TTL_HOURS) || 24;
+
+/**
+ * Create a pending upload: a file (or batch of files) waiting for a format choice
+ * Format keyboards carry the upload ID in their callback data, so every
+ * keyboard converts its own file, even after a restart.
+ * @param {number} userId - Telegram user ID
+ * @param {Object} data - File data and conversion settings
+ * @returns {Promise<Object>} Upload record with ID
+ */
+async function createUpload(userId, data) {
+  // Short IDs keep callback data within Telegram's 64-byte limit
+  const id = generateRandomString(12);
+  const now = new Date();
+  const upload = {
+    ...data,
+    user_id: userId,
+    created_at: now,
+    expires_at: new Date(now.getTime() + UPLOAD_TTL_HOURS * 60 * 60 * 1000)
+  };
+  
+  await uploadsRepo.set(id, upload);
+  return { id, ...upload };
+}
+
+/**
+ * Get the conversion settings for a new upload from the user's last choices
+ * @param {Object} [session] - Telegram session
+ * @returns {Object} Settings with scale_mode, auto_rotate, image_size, image_quality and audio_effects
+ */
+function getSessionSettings(session = {}) {
+  return {
+    scale_mode: session.scaleMode || 'fit',
+    auto_rotate: session.autoRotate !== false,
+    image_size: session.imageSize || 'original',
+    image_quality: session.imageQuality || 'high',
+    audio_effects: session.audioEffects || null
+  };
+}
+
+/**
+ * Get a pending upload of a user
+ * @param {number} userId - Telegram user ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} Upload record, or null if missing, expired or owned by someone else
+ */
+async function getUpload(userId, uploadId) {
+  const upload = await uploadsRepo.get(uploadId);
+  if (!upload || upload.user_id !== userId || upload.expires_at < new Date()) {
+    return null;
+  }
+  return upload;
+}
+
+/**
+ * Update the settings of a pending upload
+ * @param {string} uploadId - Upload ID
+ * @param {Object} fields - Fields to update
+ * @returns {Promise<void>}
+ */
+async function updateUpload(uploadId, fields) {
+  await uploadsRepo.update(uploadId, fields);
+}
+
+/**
+ * Take a pending upload for conversion
+ * The upload is removed in a transaction, so tapping a format twice cannot
+ * queue the same file twice.
+ * @param {number} userId - Telegram user ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} Upload record, or null if it is no longer available
+ */
+async function claimUpload(userId, uploadId) {
+  return runTransaction(async (transaction) => {
+    const upload = await transaction.get(uploadsRepo, uploadId);
+    if (!upload || upload.user_id !== userId || upload.expires_at < new Date()) {
+      return null;
+    }
+    
+    transaction.delete(uploadsRepo, uploadId);
+    return upload;
+  });
+}
+
+/**
+ * Put back an upload taken with claimUpload (e.g., when queueing failed)
+ * @param {Object} upload - Upload record with ID
+ * @returns {Promise<void>}
+ */
+async function restoreUpload(upload) {
+  const { id, ...data } = upload;
+  await uploadsRepo.set(id, data);
+}
+
+/**
+ * Delete expired pending uploads
+ * @returns {Promise<number>} Number of deleted uploads
+ */
+async function cleanupExpiredUploads() {
+  const expired = await uploadsRepo.find({
+    where: [['expires_at', '<', new Date()]]
+  });
+  
+  for (const upload of expired) {
+    await uploadsRepo.delete(upload.id);
+  }
+  return expired.length;
+}
+
+module.exports = {
+  UPLOAD_TTL_HOURS,
+  getSessionSettings,
+  createUpload,
+  getUpload,
+  updateUpload,
+  claimUpload,
+  restoreUpload,
+  cleanupExpiredUploads
+};
@@ -1,36 +1,93 @@
-const admin = require('firebase-admin');
-const db = admin.firestore();
-const usersRef = db.collection('users');
+const {
+  runTransaction,
+  users: usersRepo,
+  conversions: conversionsRepo,
+  jobs: jobsRepo,
+  creditTransactions: transactionsRepo
+} = require('../repositories');
+const planService = require('./planService');
+const statsService = require('./statsService');
+
+// Credits given to new users and restored on reset
+const INITIAL_CREDITS = 10;
+
+/**
+ * Record a credit movement in the ledger
+ * @param {Object} transaction - Repository transaction
+ * @param {number} userId - Telegram user ID
+ * @param {number} amount - Amount added (positive) or deducted (negative)
+ * @param {number} balance - Credit balance after the movement
+ * @param {Object} details - Movement details
+ * @param {string} details.type - Movement type (signup, conversion, refund, referral, admin, reset, purchase)
+ * @param {string} [details.description] - Human-readable description
+ * @param {string} [details.reference] - Related entity ID (e.g., reservation ID)
+ * @param {string} [details.status] - Movement status (defaults to completed)
+ * @param {string} [transactionId] - Fixed document ID, makes the movement idempotent
+ */
+function recordTransaction(transaction, userId, amount, balance, details, transactionId) {
+  const entry = {
+    user_id: userId,
+    amount,
+    balance_after: balance,
+    type: details.type,
+    description: details.description || '',
+    reference: details.reference || null,
+    status: details.status || 'completed',
+    created_at: new Date()
+  };
+  
+  if (transactionId) {
+    transaction.set(transactionsRepo, transactionId, entry);
+  } else {
+    transaction.create(transactionsRepo, entry);
+  }
+}
 
 /**
  * Get user data from database or create new user if not exists
  * @param {number} userId - Telegram user ID
  * @param {Object} userData - Additional user data
- * @returns {Promise<Object>} User data
+ * @returns {Promise<Object>} User data, with is_new set if the user was just created
  */
 async function getOrCreateUser(userId, userData = {}) {
-  const userDoc = await usersRef.doc(String(userId)).get();
+  const user = await usersRepo.get(String(userId));
   
-  if (userDoc.exists) {
-    // Update last activity
-    await usersRef.doc(String(userId)).update({
-      last_activity: admin.firestore.FieldValue.serverTimestamp()
-    });
-    return { id: userDoc.id, ...userDoc.data() };
+  if (user) {
+    // Update last activity (and the username, which users can change);
+    // a user who blocked the bot and is back gets broadcasts again
+    const update = { last_activity: new Date() };
+    if (user.blocked_bot) {
+      update.blocked_bot = false;
+    }
+    if (userData.username && userData.username !== user.username) {
+      update.username = userData.username;
+      update.username_lower = userData.username.toLowerCase();
+    }
+    await usersRepo.update(String(userId), update);
+    return user;
   } else {
     // Create new user
     const newUser = {
       user_id: userId,
-      credits: 10, // Initial free credits
+      credits: INITIAL_CREDITS, // Initial free credits
       referrals: 0,
       usage_count: 0,
-      last_activity: admin.firestore.FieldValue.serverTimestamp(),
-      created_at: admin.firestore.FieldValue.serverTimestamp(),
-      ...userData
+      last_activity: new Date(),
+      created_at: new Date(),
+      ...userData,
+      username_lower: userData.username ? userData.username.toLowerCase() : null
     };
     
-    await usersRef.doc(String(userId)).set(newUser);
-    return { id: String(userId), ...newUser };
+    await runTransaction(async (transaction) => {
+      transaction.set(usersRepo, String(userId), newUser);
+      recordTransaction(transaction, userId, newUser.credits, newUser.credits, {
+        type: 'signup',
+        description: 'Welcome bonus'
+      });
+    });
+    await statsService.recordNewUser();
+    await statsService.recordCreditsIssued(newUser.credits);
+    return { id: String(userId), ...newUser, is_new: true };
   }
 }
 
@@ -38,32 +95,216 @@ async function getOrCreateUser(userId, userData = {}) {
  * Update user credits
  * @param {number} userId - Telegram user ID
  * @param {number} amount - Amount to add (positive) or deduct (negative)
+ * @param {Object} [details] - Ledger details (type, description, reference)
+ * @param {string} [details.transactionId] - Fixed ledger ID; repeated calls with the same ID are applied once
  * @returns {Promise<number>} New credit balance
  */
-async function updateCredits(userId, amount) {
-  const userRef = usersRef.doc(String(userId));
-  
-  return db.runTransaction(async (transaction) => {
-    const userDoc = await transaction.get(userRef);
+async function updateCredits(userId, amount, details = { type: 'adjustment' }) {
+  let applied = false;
+  const balance = await runTransaction(async (transaction) => {
+    applied = false;
+    const userData = await transaction.get(usersRepo, String(userId));
     
-    if (!userDoc.exists) {
+    if (!userData) {
       throw new Error('User not found');
     }
     
-    const userData = userDoc.data();
+    if (details.transactionId) {
+      const existing = await transaction.get(transactionsRepo, details.transactionId);
+      if (existing) {
+        return userData.credits;
+      }
+    }
+    
     const newCredits = userData.credits + amount;
     
     if (newCredits < 0) {
       throw new Error('Insufficient credits');
     }
     
-    transaction.update(userRef, { 
+    transaction.update(usersRepo, String(userId), { 
       credits: newCredits,
-      last_activity: admin.firestore.FieldValue.serverTimestamp()
+      last_activity: new Date()
     });
     
+    if (amount !== 0) {
+      recordTransaction(transaction, userId, amount, newCredits, details, details.transactionId);
+    }
+    
+    applied = true;
     return newCredits;
   });
+  
+  if (applied) {
+    await statsService.recordCreditsIssued(amount);
+  }
+  return balance;
+}
+
+/**
+ * Reserve credits for a conversion; they are deducted immediately and
+ * either committed on success or refunded on failure
+ * @param {number} userId - Telegram user ID
+ * @param {number} amount - Amount to reserve
+ * @param {string} reservationId - Unique reservation ID
+ * @param {string} description - Human-readable description
+ * @returns {Promise<number>} New credit balance
+ */
+async function reserveCredits(userId, amount, reservationId, description) {
+  return runTransaction(async (transaction) => {
+    const userData = await transaction.get(usersRepo, String(userId));
+    
+    if (!userData) {
+      throw new Error('User not found');
+    }
+    
+    const newCredits = userData.credits - amount;
+    
+    if (newCredits < 0) {
+      throw new Error('Insufficient credits');
+    }
+    
+    transaction.update(usersRepo, String(userId), {
+      credits: newCredits,
+      last_activity: new Date()
+    });
+    
+    recordTransaction(transaction, userId, -amount, newCredits, {
+      type: 'conversion',
+      description,
+      reference: reservationId,
+      status: 'reserved'
+    }, `reserve_${reservationId}`);
+    
+    return newCredits;
+  });
+}
+
+/**
+ * Commit a credit reservation after a successful conversion
+ * @param {string} reservationId - Reservation ID
+ * @returns {Promise<number|null>} Current credit balance, or null if nothing was reserved
+ */
+async function commitCredits(reservationId) {
+  if (!reservationId) {
+    return null;
+  }
+  
+  const reservationKey = `reserve_${reservationId}`;
+  let spent = 0;
+  
+  const balance = await runTransaction(async (transaction) => {
+    spent = 0;
+    const reservation = await transaction.get(transactionsRepo, reservationKey);
+    
+    if (!reservation) {
+      return null;
+    }
+    
+    const userData = await transaction.get(usersRepo, String(reservation.user_id));
+    
+    // Committing twice (e.g., a job re-run after restart) is a no-op
+    if (reservation.status === 'reserved') {
+      transaction.update(transactionsRepo, reservationKey, { status: 'completed' });
+      spent = -reservation.amount;
+    }
+    
+    return userData ? userData.credits : null;
+  });
+  
+  await statsService.recordCreditsSpent(spent);
+  return balance;
+}
+
+/**
+ * Refund a credit reservation after a failed or cancelled conversion
+ * @param {string} reservationId - Reservation ID
+ * @returns {Promise<number|null>} New credit balance, or null if there was nothing to refund
+ */
+async function refundCredits(reservationId) {
+  if (!reservationId) {
+    return null;
+  }
+  
+  const reservationKey = `reserve_${reservationId}`;
+  
+  return runTransaction(async (transaction) => {
+    const reservation = await transaction.get(transactionsRepo, reservationKey);
+    
+    if (!reservation || reservation.status !== 'reserved') {
+      return null;
+    }
+    
+    const userData = await transaction.get(usersRepo, String(reservation.user_id));
+    
+    if (!userData) {
+      throw new Error('User not found');
+    }
+    
+    const newCredits = userData.credits - reservation.amount;
+    
+    transaction.update(usersRepo, String(reservation.user_id), { credits: newCredits });
+    transaction.update(transactionsRepo, reservationKey, { status: 'refunded' });
+    recordTransaction(transaction, reservation.user_id, -reservation.amount, newCredits, {
+      type: 'refund',
+      description: `Refund: ${reservation.description}`,
+      reference: reservationId
+    }, `refund_${reservationId}`);
+    
+    return newCredits;
+  });
+}
+
+/**
+ * Get the most recent credit movements of a user
+ * @param {number} userId - Telegram user ID
+ * @param {number} limit - Maximum number of movements
+ * @returns {Promise<Object[]>} Credit transactions, newest first
+ */
+async function getCreditHistory(userId, limit = 10) {
+  return transactionsRepo.find({
+    where: [['user_id', '==', userId]],
+    orderBy: ['created_at', 'desc'],
+    limit
+  });
+}
+
+/**
+ * Find a user by ID or username
+ * @param {string} query - Numeric user ID or @username (case-insensitive)
+ * @returns {Promise<Object|null>} User data, or null if not found
+ */
+async function findUser(query) {
+  const text = String(query).trim();
+  
+  if (/^\d+$/.test(text)) {
+    return usersRepo.get(text);
+  }
+  
+  const username = text.replace(/^@/, '').toLowerCase();
+  if (!username) {
+    return null;
+  }
+  
+  const [user] = await usersRepo.find({
+    where: [['username_lower', '==', username]],
+    limit: 1
+  });
+  return user || null;
+}
+
+/**
+ * Get the most recent conversions of a user
+ * @param {number} userId - Telegram user ID
+ * @param {number} limit - Maximum number of conversions
+ * @returns {Promise<Object[]>} Conversions of any status, newest first
+ */
+async function getRecentConversions(userId, limit = 5) {
+  return conversionsRepo.find({
+    where: [['user_id', '==', userId]],
+    orderBy: ['created_at', 'desc'],
+    limit
+  });
 }
 
 /**
@@ -77,77 +318,77 @@ async function processReferral(referrerId, newUserId) {
     return false;
   }
   
-  const referrerRef = usersRef.doc(String(referrerId));
-  const referrerDoc = await referrerRef.get();
+  const referrer = await usersRepo.get(String(referrerId));
   
-  if (!referrerDoc.exists) {
+  if (!referrer) {
     return false;
   }
   
   // Update referrer's data
-  await referrerRef.update({
-    referrals: admin.firestore.FieldValue.increment(1),
-    credits: admin.firestore.FieldValue.increment(parseInt(process.env.REFERRAL_BONUS)),
-    last_activity: admin.firestore.FieldValue.serverTimestamp()
+  const bonus = parseInt(process.env.REFERRAL_BONUS);
+  await runTransaction(async (transaction) => {
+    const referrerData = await transaction.get(usersRepo, String(referrerId));
+    const newCredits = referrerData.credits + bonus;
+    
+    transaction.update(usersRepo, String(referrerId), {
+      referrals: referrerData.referrals + 1,
+      credits: newCredits,
+      last_activity: new Date()
+    });
+    
+    recordTransaction(transaction, referrerId, bonus, newCredits, {
+      type: 'referral',
+      description: 'Referral bonus',
+      reference: String(newUserId)
+    });
   });
+  await statsService.recordReferral();
+  await statsService.recordCreditsIssued(bonus);
   
   return true;
 }
 
 /**
- * Check if user has reached daily conversion limit
+ * Get how many more conversions the user's plan allows today
+ * Queued and running jobs count as well, one per file, so conversions that
+ * were started but not delivered yet cannot take the user over the limit.
  * @param {number} userId - Telegram user ID
- * @returns {Promise<boolean>} True if limit reached
+ * @returns {Promise<number>} Remaining conversions (the full daily limit for unknown users)
  */
-async function checkDailyLimit(userId) {
-  const userRef = usersRef.doc(String(userId));
-  const userDoc = await userRef.get();
+async function getRemainingConversions(userId) {
+  const user = await usersRepo.get(String(userId));
   
-  if (!userDoc.exists) {
-    return false;
+  if (!user) {
+    return planService.getUserPlan(null).dailyLimit;
   }
   
-  const userData = userDoc.data();
-  
-  // Get today's conversions
+  // Get today's conversions (failed and cancelled ones do not count)
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
-  const conversionsRef = db.collection('conversions');
-  const todayConversions = await conversionsRef
-    .where('user_id', '==', userId)
-    .where('created_at', '>=', today)
-    .get();
+  const todayConversions = await conversionsRepo.count([
+    ['user_id', '==', userId],
+    ['status', '==', 'completed'],
+    ['created_at', '>=', today]
+  ]);
+  const activeJobs = await jobsRepo.find({
+    where: [
+      ['user_id', '==', userId],
+      ['status', 'in', ['queued', 'processing']]
+    ]
+  });
+  const pendingConversions = activeJobs.reduce((total, job) => total + (job.files ? job.files.length : 1), 0);
   
-  return todayConversions.size >= parseInt(process.env.DAILY_LIMIT);
+  return Math.max(planService.getUserPlan(user).dailyLimit - todayConversions - pendingConversions, 0);
 }
 
 /**
- * Get user statistics for admin
- * @returns {Promise<Object>} Statistics object
+ * Check if user has reached the daily conversion limit of their plan
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<boolean>} True if limit reached
  */
-async function getStats() {
-  const usersSnapshot = await usersRef.get();
-  const totalUsers = usersSnapshot.size;
-  
-  const conversionsRef = db.collection('conversions');
-  const conversionsSnapshot = await conversionsRef.get();
-  const totalConversions = conversionsSnapshot.size;
-  
-  // Get active users (active in last 7 days)
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-  
-  const activeUsersSnapshot = await usersRef
-    .where('last_activity', '>=', sevenDaysAgo)
-    .get();
-  const activeUsers = activeUsersSnapshot.size;
-  
-  return {
-    totalUsers,
-    activeUsers,
-    totalConversions
-  };
+async function checkDailyLimit(userId) {
+  return (await getRemainingConversions(userId)) === 0;
 }
 
 /**
@@ -156,19 +397,33 @@ async function getStats() {
  * @returns {Promise<boolean>} Success status
  */
 async function resetUser(userId) {
-  const userRef = usersRef.doc(String(userId));
-  const userDoc = await userRef.get();
+  const user = await usersRepo.get(String(userId));
   
-  if (!userDoc.exists) {
+  if (!user) {
     return false;
   }
   
-  await userRef.update({
-    credits: 10,
-    referrals: 0,
-    usage_count: 0,
-    last_activity: admin.firestore.FieldValue.serverTimestamp()
+  let issued = 0;
+  await runTransaction(async (transaction) => {
+    const userData = await transaction.get(usersRepo, String(userId));
+    const amount = INITIAL_CREDITS - userData.credits;
+    
+    transaction.update(usersRepo, String(userId), {
+      credits: INITIAL_CREDITS,
+      referrals: 0,
+      usage_count: 0,
+      last_activity: new Date()
+    });
+    
+    if (amount !== 0) {
+      recordTransaction(transaction, userId, amount, INITIAL_CREDITS, {
+        type: 'reset',
+        description: 'Account reset by admin'
+      });
+    }
+    issued = amount;
   });
+  await statsService.recordCreditsIssued(issued);
   
   return true;
 }
@@ -176,8 +431,14 @@ async function resetUser(userId) {
 module.exports = {
   getOrCreateUser,
   updateCredits,
+  reserveCredits,
+  commitCredits,
+  refundCredits,
+  getCreditHistory,
+  findUser,
+  getRecentConversions,
   processReferral,
+  getRemainingConversions,
   checkDailyLimit,
-  getStats,
   resetUser
 };
\ No newline at end of file
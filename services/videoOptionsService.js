@@ -0,0 +1,162 @@
+/**
+ * Custom video conversion options: the choices offered by the options wizard
+ * and their mapping to ffmpeg encoder settings.
+ */
+
+// Wizard steps, in the order they are asked
+const VIDEO_OPTION_STEPS = ['container', 'codec', 'quality', 'fps', 'audio'];
+
+const CONTAINERS = {
+  mp4: { label: 'MP4', format: 'mp4', extension: '.mp4', audioCodec: 'aac', codecs: ['h264', 'h265', 'av1aom', 'av1svt'] },
+  mkv: { label: 'MKV', format: 'matroska', extension: '.mkv', audioCodec: 'aac', codecs: ['h264', 'h265', 'vp9', 'av1aom', 'av1svt'] },
+  webm: { label: 'WebM', format: 'webm', extension: '.webm', audioCodec: 'libopus', codecs: ['vp9', 'av1aom', 'av1svt'] }
+};
+
+// CRF values per codec for each quality level (lower is better)
+const CODECS = {
+  h264: { label: 'H.264', encoder: 'libx264', crf: { high: 18, medium: 23, low: 28 }, outputOptions: ['-preset medium'] },
+  h265: { label: 'H.265', encoder: 'libx265', crf: { high: 22, medium: 28, low: 32 }, outputOptions: ['-preset medium'] },
+  vp9: { label: 'VP9', encoder: 'libvpx-vp9', crf: { high: 24, medium: 32, low: 40 }, outputOptions: ['-row-mt 1', '-deadline good', '-cpu-used 4'] },
+  av1aom: { label: 'AV1 (libaom)', encoder: 'libaom-av1', crf: { high: 24, medium: 32, low: 40 }, outputOptions: ['-cpu-used 6', '-row-mt 1'] },
+  av1svt: { label: 'AV1 (SVT)', encoder: 'libsvtav1', crf: { high: 25, medium: 35, low: 45 }, outputOptions: ['-preset 8'] }
+};
+
+const QUALITIES = {
+  crf_high: { label: 'High quality (CRF)' },
+  crf_medium: { label: 'Balanced (CRF)' },
+  crf_low: { label: 'Small file (CRF)' },
+  br_1000: { label: '1 Mbps', bitrate: 1000 },
+  br_2500: { label: '2.5 Mbps', bitrate: 2500 },
+  br_5000: { label: '5 Mbps', bitrate: 5000 }
+};
+
+const FRAME_RATES = {
+  source: { label: 'Keep original' },
+  24: { label: '24 fps' },
+  30: { label: '30 fps' },
+  60: { label: '60 fps' }
+};
+
+const AUDIO_BITRATES = {
+  64: { label: '64 kbps' },
+  128: { label: '128 kbps' },
+  192: { label: '192 kbps' },
+  320: { label: '320 kbps' }
+};
+
+/**
+ * Get the choices for a wizard step, given the options chosen so far
+ * @param {string} step - Wizard step (container, codec, quality, fps, audio)
+ * @param {Object} options - Options chosen so far
+ * @returns {Object[]} Array of choice objects with label and value
+ */
+function getChoices(step, options = {}) {
+  const toChoices = (table, values = Object.keys(table)) => values.map(value => ({
+    label: table[value].label,
+    value
+  }));
+  
+  switch (step) {
+    case 'container':
+      return toChoices(CONTAINERS);
+    case 'codec':
+      return toChoices(CODECS, CONTAINERS[options.container]?.codecs || []);
+    case 'quality':
+      return toChoices(QUALITIES);
+    case 'fps':
+      return toChoices(FRAME_RATES);
+    case 'audio':
+      return toChoices(AUDIO_BITRATES);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Get the first wizard step that has not been answered yet
+ * @param {Object} options - Options chosen so far
+ * @returns {string|null} Next step, or null if all steps are answered
+ */
+function getNextStep(options = {}) {
+  return VIDEO_OPTION_STEPS.find(step => options[step] === undefined) || null;
+}
+
+/**
+ * Check that a complete set of options is valid and consistent
+ * @param {Object} options - Video options
+ * @returns {boolean} True if the options can be used for conversion
+ */
+function isValidOptions(options) {
+  if (!options) {
+    return false;
+  }
+  return VIDEO_OPTION_STEPS.every(step => (
+    getChoices(step, options).some(choice => choice.value === options[step])
+  ));
+}
+
+/**
+ * Describe options in a short human-readable form
+ * @param {Object} options - Video options
+ * @returns {string} Description (e.g., "MP4 • H.265 • Balanced (CRF) • 30 fps • 128 kbps audio")
+ */
+function describeOptions(options) {
+  const parts = [];
+  if (options.container) parts.push(CONTAINERS[options.container].label);
+  if (options.codec) parts.push(CODECS[options.codec].label);
+  if (options.quality) parts.push(QUALITIES[options.quality].label);
+  if (options.fps) parts.push(options.fps === 'source' ? 'original fps' : FRAME_RATES[options.fps].label);
+  if (options.audio) parts.push(`${AUDIO_BITRATES[options.audio].label} audio`);
+  return parts.join(' • ');
+}
+
+/**
+ * Map options to ffmpeg encoder settings
+ * @param {Object} options - Valid video options
+ * @returns {Object} Settings with format, extension, videoCodec, audioCodec, audioBitrate, fps, videoBitrate and outputOptions
+ */
+function getEncoderSettings(options) {
+  const container = CONTAINERS[options.container];
+  const codec = CODECS[options.codec];
+  const quality = QUALITIES[options.quality];
+  const outputOptions = [...codec.outputOptions];
+  let videoBitrate = null;
+  
+  if (quality.bitrate) {
+    videoBitrate = quality.bitrate;
+  } else {
+    const level = options.quality.replace('crf_', '');
+    outputOptions.push(`-crf ${codec.crf[level]}`);
+    // VP9 and libaom only use constant quality mode when the bitrate is 0
+    if (['vp9', 'av1aom'].includes(options.codec)) {
+      outputOptions.push('-b:v 0');
+    }
+  }
+  
+  if (options.container === 'mp4') {
+    outputOptions.push('-movflags +faststart');
+    if (options.codec === 'h265') {
+      outputOptions.push('-tag:v hvc1');
+    }
+  }
+  
+  return {
+    format: container.format,
+    extension: container.extension,
+    videoCodec: codec.encoder,
+    audioCodec: container.audioCodec,
+    audioBitrate: parseInt(options.audio),
+    fps: options.fps === 'source' ? null : parseInt(options.fps),
+    videoBitrate,
+    outputOptions
+  };
+}
+
+module.exports = {
+  VIDEO_OPTION_STEPS,
+  getChoices,
+  getNextStep,
+  isValidOptions,
+  describeOptions,
+  getEncoderSettings
+};
@@ -0,0 +1,65 @@
+/**
+ * Bot API server settings
+ * By default the bot talks to Telegram's cloud Bot API, which limits
+ * downloads to 20MB and uploads to 50MB. With BOT_API_ROOT pointing to a
+ * self-hosted telegram-bot-api server started with --local (and
+ * BOT_API_LOCAL=true), both limits rise to 2000MB and files can be read
+ * straight from the server's disk.
+ */
+
+// Limits of the cloud Bot API
+const CLOUD_DOWNLOAD_LIMIT_MB = 20;
+const CLOUD_UPLOAD_LIMIT_MB = 50;
+
+// Limit of a local Bot API server for both directions
+const LOCAL_FILE_LIMIT_MB = 2000;
+
+/**
+ * Check whether the bot runs against a local Bot API server (--local mode)
+ * @returns {boolean} True if local mode is enabled
+ */
+function isLocalBotApi() {
+  return Boolean(process.env.BOT_API_ROOT) && process.env.BOT_API_LOCAL === 'true';
+}
+
+/**
+ * Get the options for creating a Telegraf instance
+ * @returns {Object} Telegraf options (custom API root, if configured)
+ */
+function getTelegrafOptions() {
+  return process.env.BOT_API_ROOT ? { telegram: { apiRoot: process.env.BOT_API_ROOT } } : {};
+}
+
+/**
+ * Get the largest file the bot can download from Telegram
+ * @returns {number} Size in MB
+ */
+function getDownloadLimitMb() {
+  return isLocalBotApi() ? LOCAL_FILE_LIMIT_MB : CLOUD_DOWNLOAD_LIMIT_MB;
+}
+
+/**
+ * Get the largest file the bot can upload to Telegram
+ * @returns {number} Size in bytes
+ */
+function getUploadLimitBytes() {
+  return (isLocalBotApi() ? LOCAL_FILE_LIMIT_MB : CLOUD_UPLOAD_LIMIT_MB) * 1024 * 1024;
+}
+
+/**
+ * Get the maximum size of files users may send for conversion
+ * MAX_FILE_SIZE_MB is capped at what the Bot API can actually download.
+ * @returns {number} Size in MB
+ */
+function getMaxFileSizeMb() {
+  const configured = parseInt(process.env.MAX_FILE_SIZE_MB) || CLOUD_DOWNLOAD_LIMIT_MB;
+  return Math.min(configured, getDownloadLimitMb());
+}
+
+module.exports = {
+  isLocalBotApi,
+  getTelegrafOptions,
+  getDownloadLimitMb,
+  getUploadLimitBytes,
+  getMaxFileSizeMb
+};
@@ -33,15 +33,6 @@ function generateRandomString(length = 10) {
   return result;
 }
 
-/**
- * Check if user is admin
- * @param {number} userId - Telegram user ID
- * @returns {boolean} True if user is admin
- */
-function isAdmin(userId) {
-  return String(userId) === process.env.ADMIN_ID;
-}
-
 /**
  * Get time difference in human-readable format
  * @param {Date} date - Date to compare
@@ -62,9 +53,96 @@ function getTimeDifference(date) {
   return `${seconds} second${seconds !== 1 ? 's' : ''} ago`;
 }
 
+/**
+ * Format a date and time in UTC
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date (e.g., "2024-05-01 14:30 UTC")
+ */
+function formatDateTime(date) {
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Format a duration in seconds to a short human-readable format
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Formatted duration (e.g., "1h 5m", "2m 30s", "45s")
+ */
+function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${secs}s`;
+  return `${secs}s`;
+}
+
+/**
+ * Build a text progress bar
+ * @param {number} percent - Progress percentage (0-100)
+ * @param {number} length - Number of bar segments
+ * @returns {string} Progress bar (e.g., "██████░░░░")
+ */
+function formatProgressBar(percent, length = 10) {
+  const filled = Math.round(Math.min(100, Math.max(0, percent)) / 100 * length);
+  return '█'.repeat(filled) + '░'.repeat(length - filled);
+}
+
+/**
+ * Parse a timestamp to seconds
+ * @param {string} text - Timestamp (e.g., "45", "1:30", "1:02:03.5")
+ * @returns {number|null} Seconds, or null if the timestamp is invalid
+ */
+function parseTimestamp(text) {
+  const match = String(text).trim().match(/^(?:(?:(\d+):)?(\d+):)?(\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  
+  const [, hours, minutes, seconds] = match;
+  if ((minutes !== undefined && parseFloat(seconds) >= 60) || (hours !== undefined && parseInt(minutes) >= 60)) {
+    return null;
+  }
+  return (parseInt(hours) || 0) * 3600 + (parseInt(minutes) || 0) * 60 + parseFloat(seconds);
+}
+
+/**
+ * Parse a period such as a ban duration
+ * @param {string} text - Period with a unit (e.g., "30m", "12h", "7d", "2w")
+ * @returns {number|null} Seconds, or null if the period is invalid
+ */
+function parsePeriod(text) {
+  const match = String(text).trim().toLowerCase().match(/^(\d+)([mhdw])$/);
+  if (!match || parseInt(match[1]) === 0) return null;
+  
+  const units = { m: 60, h: 3600, d: 86400, w: 604800 };
+  return parseInt(match[1]) * units[match[2]];
+}
+
+/**
+ * Format seconds as a timestamp
+ * @param {number} totalSeconds - Time in seconds
+ * @returns {string} Timestamp (e.g., "0:45", "1:02:03", "1:30.5")
+ */
+function formatTimestamp(totalSeconds) {
+  const rounded = Math.round(totalSeconds * 100) / 100;
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = parseFloat((rounded % 60).toFixed(2));
+  const pad = (value) => String(value).padStart(2, '0');
+  const secondsText = seconds < 10 ? `0${seconds}` : `${seconds}`;
+  
+  if (hours > 0) return `${hours}:${pad(minutes)}:${secondsText}`;
+  return `${minutes}:${secondsText}`;
+}
+
 module.exports = {
   formatFileSize,
   generateRandomString,
-  isAdmin,
-  getTimeDifference
+  getTimeDifference,
+  formatDateTime,
+  formatDuration,
+  formatProgressBar,
+  parseTimestamp,
+  parsePeriod,
+  formatTimestamp
 };
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * Media limits shared by conversion and pricing, and human-readable
+ * summaries of ffprobe metadata for the /info command
+ */
+
+const { formatFileSize, formatDuration } = require('./helpers');
+
+// Video formats whose output is cut to a maximum length, in seconds:
+// GIFs grow quickly, and Telegram limits video stickers and video notes
+const MAX_OUTPUT_SECONDS = {
+  gif: 30,
+  sticker: 3,
+  videonote: 60
+};
+
+// Tags shown per file, and the longest tag value shown
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 60;
+
+/**
+ * Format a bitrate in bits per second
+ * @param {number|string} bitRate - Bitrate from ffprobe
+ * @returns {string|null} Formatted bitrate (e.g., "2.5 Mb/s"), or null if unknown
+ */
+function formatBitrate(bitRate) {
+  const bps = parseInt(bitRate);
+  if (!bps) return null;
+  if (bps >= 1000000) return `${parseFloat((bps / 1000000).toFixed(2))} Mb/s`;
+  return `${Math.round(bps / 1000)} kb/s`;
+}
+
+/**
+ * Format an ffprobe frame rate fraction
+ * @param {string} rate - Frame rate (e.g., "30000/1001")
+ * @returns {string|null} Formatted frame rate (e.g., "29.97 fps"), or null if unknown
+ */
+function formatFrameRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!num || !den) return null;
+  return `${parseFloat((num / den).toFixed(2))} fps`;
+}
+
+/**
+ * Format the tags of a file or stream
+ * @param {Object} tags - ffprobe tags
+ * @returns {string[]} Lines of "key: value"
+ */
+function formatTags(tags = {}) {
+  return Object.entries(tags)
+    .slice(0, MAX_TAGS)
+    .map(([key, value]) => {
+      const text = String(value);
+      return `${key}: ${text.length > MAX_TAG_LENGTH ? `${text.slice(0, MAX_TAG_LENGTH)}…` : text}`;
+    });
+}
+
+/**
+ * Describe a single stream on one line
+ * @param {Object} stream - ffprobe stream
+ * @returns {string} Stream description
+ */
+function describeStream(stream) {
+  const codec = stream.profile ? `${stream.codec_name} (${stream.profile})` : stream.codec_name;
+  const parts = [codec || 'unknown codec'];
+  
+  if (stream.codec_type === 'video') {
+    if (stream.width && stream.height) parts.push(`${stream.width}x${stream.height}`);
+    parts.push(formatFrameRate(stream.avg_frame_rate) || formatFrameRate(stream.r_frame_rate));
+  } else if (stream.codec_type === 'audio') {
+    if (stream.sample_rate) parts.push(`${stream.sample_rate} Hz`);
+    if (stream.channels) {
+      parts.push(`${stream.channels} ch${stream.channel_layout ? ` (${stream.channel_layout})` : ''}`);
+    }
+  }
+  parts.push(formatBitrate(stream.bit_rate));
+  if (stream.tags?.language) parts.push(stream.tags.language);
+  
+  const type = stream.codec_type ? stream.codec_type.charAt(0).toUpperCase() + stream.codec_type.slice(1) : 'Data';
+  return `#${stream.index} ${type}: ${parts.filter(Boolean).join(', ')}`;
+}
+
+/**
+ * Summarize ffprobe metadata for display in a message
+ * @param {Object} metadata - ffprobe metadata
+ * @returns {string} Multi-line summary
+ */
+function formatMediaInfo(metadata) {
+  const format = metadata.format || {};
+  const lines = ['ℹ️ Media Info\n'];
+  
+  lines.push(`📦 Container: ${format.format_long_name || format.format_name || 'unknown'}`);
+  if (format.duration) lines.push(`⏱ Duration: ${formatDuration(parseFloat(format.duration))}`);
+  if (format.size) lines.push(`💾 Size: ${formatFileSize(parseInt(format.size))}`);
+  const bitrate = formatBitrate(format.bit_rate);
+  if (bitrate) lines.push(`📶 Bitrate: ${bitrate}`);
+  
+  const streams = metadata.streams || [];
+  lines.push(`\n🎞 Streams (${streams.length}):`);
+  streams.forEach(stream => lines.push(describeStream(stream)));
+  
+  const tags = formatTags(format.tags);
+  if (tags.length > 0) {
+    lines.push('\n🏷 Tags:');
+    lines.push(...tags);
+  }
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  MAX_OUTPUT_SECONDS,
+  formatMediaInfo
+};
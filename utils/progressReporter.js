@@ -0,0 +1,117 @@
+const { formatDuration, formatProgressBar } = require('./helpers');
+
+// Minimum time between two edits of the same message
+const PROGRESS_UPDATE_INTERVAL_MS = parseInt(process.env.PROGRESS_UPDATE_INTERVAL_MS) || 3000;
+
+/**
+ * Create a throttled reporter that edits a status message with conversion progress
+ * @param {Object} telegram - Telegraf Telegram instance
+ * @param {number} chatId - Chat ID of the status message
+ * @param {number} messageId - Message ID of the status message
+ * @param {Object} options - Reporter options
+ * @param {string} options.title - First line of the status message
+ * @param {Object} options.extra - Extra options passed to editMessageText (e.g., reply_markup)
+ * @returns {Object} Reporter with update(percent) and stop() methods
+ */
+function createProgressReporter(telegram, chatId, messageId, options = {}) {
+  const title = options.title || '⏳ Processing your file...';
+  const startedAt = Date.now();
+  
+  let latestPercent = null;
+  let lastText = null;
+  let nextEditAt = 0;
+  let timer = null;
+  let pendingEdit = Promise.resolve();
+  let stopped = false;
+  
+  /**
+   * Render the status message text for a percentage
+   * @param {number} percent - Progress percentage
+   * @returns {string} Message text
+   */
+  function render(percent) {
+    const rounded = Math.floor(percent);
+    let text = `${title}\n\n${formatProgressBar(percent)} ${rounded}%`;
+    
+    if (percent > 0 && percent < 100) {
+      const elapsedSeconds = (Date.now() - startedAt) / 1000;
+      const etaSeconds = elapsedSeconds * (100 - percent) / percent;
+      text += `\nETA: ${formatDuration(etaSeconds)}`;
+    }
+    
+    return text;
+  }
+  
+  /**
+   * Edit the status message with the latest reported percentage
+   */
+  async function flush() {
+    timer = null;
+    if (stopped || latestPercent === null) {
+      return;
+    }
+    
+    const text = render(latestPercent);
+    latestPercent = null;
+    if (text === lastText) {
+      return;
+    }
+    
+    try {
+      await telegram.editMessageText(chatId, messageId, undefined, text, options.extra);
+      lastText = text;
+      nextEditAt = Date.now() + PROGRESS_UPDATE_INTERVAL_MS;
+    } catch (error) {
+      const retryAfter = error.parameters?.retry_after;
+      if (retryAfter) {
+        // Rate limited by Telegram, wait as long as requested
+        nextEditAt = Date.now() + retryAfter * 1000;
+      } else {
+        console.error('Error updating progress message:', error.message);
+        nextEditAt = Date.now() + PROGRESS_UPDATE_INTERVAL_MS;
+      }
+    }
+  }
+  
+  /**
+   * Report new progress; edits are throttled and coalesced
+   * @param {number} percent - Progress percentage (0-100)
+   */
+  function update(percent) {
+    if (stopped || !Number.isFinite(percent)) {
+      return;
+    }
+    
+    latestPercent = Math.min(100, Math.max(0, percent));
+    if (timer) {
+      return;
+    }
+    
+    const delay = Math.max(0, nextEditAt - Date.now());
+    timer = setTimeout(() => {
+      pendingEdit = flush();
+    }, delay);
+  }
+  
+  /**
+   * Stop reporting and wait for an in-flight edit to finish
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    stopped = true;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    await pendingEdit;
+  }
+  
+  return {
+    update,
+    stop
+  };
+}
+
+module.exports = {
+  createProgressReporter
+};
@@ -0,0 +1,152 @@
+/**
+ * Aspect-ratio-aware scaling for video conversions
+ */
+
+// Scaling modes offered for resolution conversions
+const SCALE_MODES = {
+  fit: 'Fit',
+  pad: 'Letterbox',
+  crop: 'Crop to fill'
+};
+
+/**
+ * Round a dimension to the nearest even number (required by most encoders)
+ * @param {number} value - Dimension in pixels
+ * @returns {number} Even dimension, at least 2
+ */
+function toEven(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+/**
+ * Round a dimension down to an even number
+ * @param {number} value - Dimension in pixels
+ * @returns {number} Even dimension, at least 2
+ */
+function floorEven(value) {
+  return Math.max(2, Math.floor(value / 2) * 2);
+}
+
+/**
+ * Normalize a rotation angle to 0, 90, 180 or 270 degrees
+ * @param {number} degrees - Rotation in degrees
+ * @returns {number} Normalized rotation
+ */
+function normalizeRotation(degrees) {
+  return ((Math.round(degrees / 90) * 90) % 360 + 360) % 360;
+}
+
+/**
+ * Get the display geometry of the first video stream from ffprobe metadata
+ * @param {Object} metadata - ffprobe metadata
+ * @param {boolean} applyRotation - Whether rotation metadata is applied to the frames
+ * @returns {Object|null} Object with width, height (as displayed) and rotation, or null if there is no video stream
+ */
+function getVideoGeometry(metadata, applyRotation = true) {
+  const stream = (metadata.streams || []).find(s => s.codec_type === 'video');
+  if (!stream || !stream.width || !stream.height) {
+    return null;
+  }
+  
+  // Rotation comes from the legacy rotate tag or the display matrix (counter-clockwise)
+  let rotation = parseInt(stream.tags?.rotate) || 0;
+  const displayMatrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  if (displayMatrix) {
+    rotation = -parseInt(displayMatrix.rotation);
+  }
+  rotation = normalizeRotation(rotation);
+  
+  // Anamorphic sources have non-square pixels
+  let width = stream.width;
+  const height = stream.height;
+  const [sarNum, sarDen] = String(stream.sample_aspect_ratio || '1:1').split(':').map(Number);
+  if (sarNum > 0 && sarDen > 0) {
+    width = Math.round(width * sarNum / sarDen);
+  }
+  
+  const swapped = applyRotation && (rotation === 90 || rotation === 270);
+  return {
+    width: swapped ? height : width,
+    height: swapped ? width : height,
+    rotation
+  };
+}
+
+/**
+ * Compute the ffmpeg video filter for scaling to a target resolution
+ * The target is the length of the short side (720 for "720p"), so vertical
+ * videos keep their orientation. Sources smaller than the target are never
+ * upscaled. Letterbox and crop modes produce a 16:9 landscape frame.
+ * @param {Object} geometry - Source geometry from getVideoGeometry
+ * @param {number} target - Target short side in pixels
+ * @param {string} mode - Scaling mode (fit, pad, crop)
+ * @returns {Object} Object with filter, width, height and upscaleSkipped flag
+ */
+function computeScaling(geometry, target, mode = 'fit') {
+  const { width, height } = geometry;
+  
+  if (mode === 'pad' || mode === 'crop') {
+    let frameHeight = toEven(target);
+    let frameWidth = toEven(target * 16 / 9);
+    
+    if (mode === 'pad') {
+      const scale = Math.min(frameWidth / width, frameHeight / height);
+      const upscaleSkipped = scale > 1;
+      if (upscaleSkipped && width <= frameWidth && height <= frameHeight) {
+        // Keep the source size and only add bars around it
+        frameWidth = toEven(Math.max(width, height * 16 / 9));
+        frameHeight = toEven(frameWidth * 9 / 16);
+      }
+      const factor = Math.min(scale, 1);
+      const scaledWidth = Math.min(toEven(width * factor), frameWidth);
+      const scaledHeight = Math.min(toEven(height * factor), frameHeight);
+      return {
+        filter: `scale=${scaledWidth}:${scaledHeight},pad=${frameWidth}:${frameHeight}:(ow-iw)/2:(oh-ih)/2,setsar=1`,
+        width: frameWidth,
+        height: frameHeight,
+        upscaleSkipped
+      };
+    }
+    
+    const scale = Math.max(frameWidth / width, frameHeight / height);
+    const upscaleSkipped = scale > 1;
+    if (upscaleSkipped) {
+      // Crop the largest 16:9 area of the source without scaling
+      frameWidth = floorEven(Math.min(width, height * 16 / 9));
+      frameHeight = floorEven(Math.min(height, frameWidth * 9 / 16));
+      return {
+        filter: `crop=${frameWidth}:${frameHeight},setsar=1`,
+        width: frameWidth,
+        height: frameHeight,
+        upscaleSkipped
+      };
+    }
+    const scaledWidth = Math.max(toEven(width * scale), frameWidth);
+    const scaledHeight = Math.max(toEven(height * scale), frameHeight);
+    return {
+      filter: `scale=${scaledWidth}:${scaledHeight},crop=${frameWidth}:${frameHeight},setsar=1`,
+      width: frameWidth,
+      height: frameHeight,
+      upscaleSkipped
+    };
+  }
+  
+  // Fit: scale the short side to the target, keeping the aspect ratio
+  const shortSide = Math.min(width, height);
+  const upscaleSkipped = target > shortSide;
+  const factor = upscaleSkipped ? 1 : target / shortSide;
+  const scaledWidth = toEven(width * factor);
+  const scaledHeight = toEven(height * factor);
+  return {
+    filter: `scale=${scaledWidth}:${scaledHeight},setsar=1`,
+    width: scaledWidth,
+    height: scaledHeight,
+    upscaleSkipped
+  };
+}
+
+module.exports = {
+  SCALE_MODES,
+  getVideoGeometry,
+  computeScaling
+};
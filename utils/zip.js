@@ -0,0 +1,148 @@
+/**
+ * Minimal ZIP archive writer
+ * Entries are stored without compression: converted media is already
+ * compressed, so deflating it would only cost CPU time.
+ */
+
+const fs = require('fs');
+
+// Precomputed CRC-32 table (IEEE polynomial)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a file
+ * @param {string} filePath - Path to file
+ * @returns {Promise<number>} CRC-32 checksum
+ */
+async function crc32File(filePath) {
+  let crc = 0xffffffff;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    for (let i = 0; i < chunk.length; i++) {
+      crc = CRC_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Date to convert
+ * @returns {Object} Object with time and date
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Append a readable file to a write stream
+ * @param {Object} output - Write stream
+ * @param {string} filePath - Path to file
+ * @returns {Promise<void>}
+ */
+function appendFile(output, filePath) {
+  return new Promise((resolve, reject) => {
+    const input = fs.createReadStream(filePath);
+    input.on('error', reject);
+    input.on('end', resolve);
+    input.pipe(output, { end: false });
+  });
+}
+
+/**
+ * Write a buffer to a write stream
+ * @param {Object} output - Write stream
+ * @param {Buffer} buffer - Data to write
+ * @returns {Promise<void>}
+ */
+function writeBuffer(output, buffer) {
+  return new Promise((resolve, reject) => {
+    output.write(buffer, (error) => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Create a ZIP archive from files (up to 4 GB in total, no ZIP64)
+ * @param {string} outputPath - Path to the archive to create
+ * @param {Object[]} entries - Files to add, each with name (path inside the archive) and path
+ * @returns {Promise<string>} Path to the archive
+ */
+async function createZip(outputPath, entries) {
+  const output = fs.createWriteStream(outputPath);
+  const centralDirectory = [];
+  const { time, date } = toDosDateTime(new Date());
+  let offset = 0;
+  
+  try {
+    for (const entry of entries) {
+      const name = Buffer.from(entry.name, 'utf8');
+      const size = fs.statSync(entry.path).size;
+      const crc = await crc32File(entry.path);
+      
+      // Local file header; bit 11 marks UTF-8 file names
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(0x0800, 6);
+      header.writeUInt16LE(0, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      header.writeUInt32LE(crc, 14);
+      header.writeUInt32LE(size, 18);
+      header.writeUInt32LE(size, 22);
+      header.writeUInt16LE(name.length, 26);
+      header.writeUInt16LE(0, 28);
+      
+      await writeBuffer(output, Buffer.concat([header, name]));
+      await appendFile(output, entry.path);
+      
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(0x0800, 8);
+      record.writeUInt16LE(0, 10);
+      record.writeUInt16LE(time, 12);
+      record.writeUInt16LE(date, 14);
+      record.writeUInt32LE(crc, 16);
+      record.writeUInt32LE(size, 20);
+      record.writeUInt32LE(size, 24);
+      record.writeUInt16LE(name.length, 28);
+      record.writeUInt32LE(offset, 42);
+      centralDirectory.push(Buffer.concat([record, name]));
+      
+      offset += header.length + name.length + size;
+    }
+    
+    const directory = Buffer.concat(centralDirectory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    
+    await writeBuffer(output, Buffer.concat([directory, end]));
+    await new Promise((resolve, reject) => {
+      output.on('error', reject);
+      output.end(resolve);
+    });
+    return outputPath;
+  } catch (error) {
+    output.destroy();
+    fs.rmSync(outputPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  createZip
+};